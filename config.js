@@ -0,0 +1,319 @@
+// Server configuration: built-in defaults, overridden by an optional JSON or
+// YAML file (CONFIG_FILE) and then by environment variables. Every option is
+// validated at startup; options marked reloadable are re-read on SIGHUP.
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * 60; // seconds
+
+function option(type, defaultValue, settings = {}) {
+  return { type, default: defaultValue, ...settings };
+}
+
+const integer = (defaultValue, settings) => option('integer', defaultValue, settings);
+const number = (defaultValue, settings) => option('number', defaultValue, settings);
+const string = (defaultValue, settings) => option('string', defaultValue, settings);
+const boolean = (defaultValue, settings) => option('boolean', defaultValue, settings);
+const list = (defaultValue, settings) => option('list', defaultValue, settings);
+
+// Each option is set in a file by its path (e.g. `server.maxUsers`) and in
+// the environment by the path in upper snake case (e.g. `SERVER_MAX_USERS`)
+const SCHEMA = {
+  port: integer(8083, { min: 1, max: 65535 }),
+  auth: {
+    secret: string(null, { secret: true }), // signs and verifies HS256 client tokens
+    adminUsers: list([], { reloadable: true }) // usernames allowed to use the admin endpoints
+  },
+  server: {
+    maxUsers: integer(100, { min: 1, reloadable: true }),
+    locationUpdateInterval: integer(2000, { min: 0, reloadable: true }), // minimum ms between updates
+    maxBatchSize: integer(100, { min: 1, reloadable: true }), // fixes per location_batch
+    maxClockSkew: integer(60000, { min: 0, reloadable: true }), // ms a fix may lie in the future
+    userTimeout: integer(30000, { min: 1000, reloadable: true }), // ms before stale data is cleaned up
+    awayTimeout: integer(15000, { min: 1000, reloadable: true }), // ms without updates before a user is away
+    presenceCheckInterval: integer(5000, { min: 100 }),
+    cleanupInterval: integer(30000, { min: 1000 }),
+    eventLogSize: integer(10000, { min: 100 }), // events kept for session resume
+    sessionResumeWindow: integer(5 * MINUTE, { min: 0, reloadable: true }), // ms a closed session can be resumed
+    maxNameLength: integer(50, { min: 1, max: 255, reloadable: true }),
+    maxAnnouncementLength: integer(1000, { min: 1, reloadable: true }),
+    trustProxy: boolean(false, { reloadable: true }), // take client addresses from X-Forwarded-For
+    maxGeofencesPerOwner: integer(50, { min: 1, reloadable: true }),
+    minGeofenceRadius: number(10, { min: 0, reloadable: true }), // meters
+    maxGeofenceRadius: number(50000, { min: 1, reloadable: true }), // meters
+    maxGeofencePoints: integer(100, { min: 3, reloadable: true }),
+    maxProximityRulesPerUser: integer(50, { min: 1, reloadable: true }),
+    minProximityDistance: number(10, { min: 0, reloadable: true }), // meters
+    maxProximityDistance: number(100000, { min: 1, reloadable: true }), // meters
+    proximityHysteresis: number(0.1, { min: 0, max: 1, reloadable: true }), // fraction of a threshold
+    maxHistoryLimit: integer(1000, { min: 1, reloadable: true }),
+    defaultNearbyRadius: number(1000, { min: 1, reloadable: true }), // meters
+    maxNearbyRadius: number(50000, { min: 1, reloadable: true }), // meters
+    defaultNearbyLimit: integer(20, { min: 1, reloadable: true }),
+    maxNearbyLimit: integer(100, { min: 1, reloadable: true }),
+    maxNearbyCandidates: integer(1000, { min: 1, reloadable: true }), // nearest users examined per search
+    stayRadius: number(100, { min: 1, reloadable: true }), // meters
+    stayDuration: integer(5 * MINUTE, { min: 1000, reloadable: true }), // ms
+    maxGrantDuration: integer(30 * 24 * 60, { min: 1, reloadable: true }), // minutes
+    defaultShareLinkDuration: integer(60, { min: 1, reloadable: true }), // minutes
+    maxShareLinkDuration: integer(7 * 24 * 60, { min: 1, reloadable: true }) // minutes
+  },
+  redis: {
+    host: string('localhost'),
+    port: integer(6379, { min: 1, max: 65535 }),
+    password: string(null, { secret: true }),
+    db: integer(0, { min: 0 }),
+    cluster: boolean(false),
+    maxLocationEntries: integer(100, { min: 1, reloadable: true }),
+    maxTimelineSegments: integer(500, { min: 1, reloadable: true }),
+    locationTTL: integer(7 * DAY, { min: 60, reloadable: true }), // seconds
+    userTTL: integer(30 * DAY, { min: 60, reloadable: true }), // seconds
+    onlineTTL: integer(60, { min: 5, reloadable: true }), // seconds
+    keyPrefix: string('location_share:'),
+    eventsChannel: string('location_share:events')
+  }
+};
+
+// Options that must be ordered relative to each other
+const ORDERED_OPTIONS = [
+  ['server.awayTimeout', 'server.userTimeout'],
+  ['server.minGeofenceRadius', 'server.maxGeofenceRadius'],
+  ['server.minProximityDistance', 'server.maxProximityDistance'],
+  ['server.defaultNearbyRadius', 'server.maxNearbyRadius'],
+  ['server.defaultNearbyLimit', 'server.maxNearbyLimit'],
+  ['server.maxNearbyLimit', 'server.maxNearbyCandidates'],
+  ['server.defaultShareLinkDuration', 'server.maxShareLinkDuration']
+];
+
+const REDACTED = '[redacted]';
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function isOption(node) {
+  return typeof node.type === 'string' && 'default' in node;
+}
+
+// Visit every option of the schema with its dotted path
+function forEachOption(callback, node = SCHEMA, prefix = []) {
+  Object.entries(node).forEach(([key, child]) => {
+    const keyPath = [...prefix, key];
+    if (isOption(child)) {
+      callback(keyPath.join('.'), child, keyPath);
+    } else {
+      forEachOption(callback, child, keyPath);
+    }
+  });
+}
+
+function getPath(object, keyPath) {
+  return keyPath.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+function setPath(object, keyPath, value) {
+  const parent = keyPath.slice(0, -1).reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, object);
+  parent[keyPath[keyPath.length - 1]] = value;
+}
+
+function envName(keyPath) {
+  return keyPath.map(key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()).join('_');
+}
+
+// Environment variables are strings and are converted to the option type
+function parseEnvValue(raw, spec) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      // Unparseable values are kept as strings so the error shows them
+      const parsed = Number(raw);
+      return raw.trim() === '' || Number.isNaN(parsed) ? raw : parsed;
+    }
+    case 'boolean':
+      if (raw === 'true' || raw === 'false') {
+        return raw === 'true';
+      }
+      return raw;
+    case 'list':
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return raw;
+  }
+}
+
+// Returns an error message, or null when the value is acceptable
+function validateValue(value, spec) {
+  if (value === null && spec.default === null) {
+    return null;
+  }
+
+  switch (spec.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return `must be an integer, got ${JSON.stringify(value)}`;
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `must be a number, got ${JSON.stringify(value)}`;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return `must be true or false, got ${JSON.stringify(value)}`;
+      }
+      break;
+    case 'list':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        return `must be a list of strings, got ${JSON.stringify(value)}`;
+      }
+      break;
+    default:
+      if (typeof value !== 'string') {
+        return `must be a string, got ${JSON.stringify(value)}`;
+      }
+  }
+
+  if (spec.min !== undefined && value < spec.min) {
+    return `must be at least ${spec.min}, got ${value}`;
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return `must be at most ${spec.max}, got ${value}`;
+  }
+  return null;
+}
+
+function readConfigFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (!['.json', '.yaml', '.yml'].includes(extension)) {
+    throw new ConfigError([`${file}: config file must be .json, .yaml or .yml`]);
+  }
+
+  let contents;
+  try {
+    contents = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`${file}: cannot read config file (${error.message})`]);
+  }
+
+  let parsed;
+  try {
+    parsed = extension === '.json' ? JSON.parse(contents) : yaml.load(contents);
+  } catch (error) {
+    throw new ConfigError([`${file}: cannot parse config file (${error.message})`]);
+  }
+
+  if (parsed === undefined || parsed === null) {
+    return {};
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError([`${file}: config file must contain an object`]);
+  }
+  return parsed;
+}
+
+// Keys in the file that the schema does not know are reported as typos
+function findUnknownKeys(values, node = SCHEMA, prefix = []) {
+  return Object.entries(values).flatMap(([key, value]) => {
+    const keyPath = [...prefix, key];
+    const child = node[key];
+    if (!child) {
+      return [keyPath.join('.')];
+    }
+    if (!isOption(child) && value && typeof value === 'object' && !Array.isArray(value)) {
+      return findUnknownKeys(value, child, keyPath);
+    }
+    return [];
+  });
+}
+
+// Build the effective configuration. Throws a ConfigError listing every
+// invalid option so all mistakes can be fixed at once.
+function loadConfig(env = process.env) {
+  const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+  const errors = findUnknownKeys(file).map(key => `${key}: unknown option in ${env.CONFIG_FILE}`);
+  const config = {};
+
+  forEachOption((name, spec, keyPath) => {
+    const variable = envName(keyPath);
+    let value = spec.default;
+    let source = 'default';
+
+    if (getPath(file, keyPath) !== undefined) {
+      value = getPath(file, keyPath);
+      source = env.CONFIG_FILE;
+    }
+    if (env[variable] !== undefined && env[variable] !== '') {
+      value = parseEnvValue(env[variable], spec);
+      source = variable;
+    }
+
+    const error = validateValue(value, spec);
+    if (error) {
+      errors.push(`${name} (from ${source}) ${error}`);
+    }
+    setPath(config, keyPath, value);
+  });
+
+  ORDERED_OPTIONS.forEach(([lower, upper]) => {
+    const lowerValue = getPath(config, lower.split('.'));
+    const upperValue = getPath(config, upper.split('.'));
+    if (typeof lowerValue === 'number' && typeof upperValue === 'number' && lowerValue > upperValue) {
+      errors.push(`${lower} (${lowerValue}) must not exceed ${upper} (${upperValue})`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  return config;
+}
+
+// Copy of the configuration that is safe to expose, with secrets replaced
+function redactConfig(config) {
+  const redacted = JSON.parse(JSON.stringify(config));
+  forEachOption((name, spec, keyPath) => {
+    if (spec.secret && getPath(config, keyPath)) {
+      setPath(redacted, keyPath, REDACTED);
+    }
+  });
+  return redacted;
+}
+
+// Compare a freshly loaded configuration with the running one. Reloadable
+// changes can be applied in place; the others need a restart.
+function diffConfig(current, next) {
+  const applied = [];
+  const restartRequired = [];
+
+  forEachOption((name, spec, keyPath) => {
+    const value = getPath(next, keyPath);
+    if (JSON.stringify(getPath(current, keyPath)) === JSON.stringify(value)) {
+      return;
+    }
+    if (spec.reloadable) {
+      applied.push({ name, keyPath, value });
+    } else {
+      restartRequired.push(name);
+    }
+  });
+
+  return { applied, restartRequired };
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  redactConfig,
+  diffConfig,
+  setPath
+};
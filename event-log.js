@@ -0,0 +1,42 @@
+// Bounded log of the events this instance delivered to users. Every event is
+// stamped with the next sequence number, so a client that reconnects can ask
+// for everything after the last number it saw.
+class EventLog {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.events = []; // { seq, recipients, message }, oldest first
+    this.lastSeq = 0;
+  }
+
+  // Returns the message stamped with its sequence number
+  append(recipients, message) {
+    const event = { ...message, seq: ++this.lastSeq };
+    this.events.push({ seq: event.seq, recipients: new Set(recipients), message: event });
+    if (this.events.length > this.capacity) {
+      this.events.shift();
+    }
+    return event;
+  }
+
+  // Messages for a user with a sequence number in (afterSeq, untilSeq], or
+  // null when some of them were already evicted from the log
+  since(username, afterSeq, untilSeq = this.lastSeq) {
+    const firstSeq = this.events.length > 0 ? this.events[0].seq : this.lastSeq + 1;
+    if (afterSeq < firstSeq - 1 || afterSeq > untilSeq) {
+      return null;
+    }
+
+    return this.events
+      .filter(event => event.seq > afterSeq && event.seq <= untilSeq && event.recipients.has(username))
+      .map(event => event.message);
+  }
+
+  // Drop a user's events and the events about them, so an erased user's
+  // locations are not replayed to anyone
+  forget(username) {
+    this.events = this.events.filter(event => !event.message.data || event.message.data.name !== username);
+    this.events.forEach(event => event.recipients.delete(username));
+  }
+}
+
+module.exports = EventLog;
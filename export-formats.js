@@ -0,0 +1,138 @@
+// Renderers for exporting location history as standard track formats.
+// Each renderer is a generator yielding chunks of the document so that
+// responses can be written out incrementally.
+
+const XML_NAMESPACE = 'https://github.com/MyTracksLoc/live-location-share-server';
+
+// Fields that every format maps onto its own elements
+const CORE_FIELDS = new Set(['name', 'latitude', 'longitude', 'lastUpdate']);
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Names of the stored fields beyond the core ones, in first-seen order
+function getExtraFields(points, excluded = []) {
+  const fields = new Set();
+  points.forEach(point => {
+    Object.keys(point).forEach(key => {
+      if (!CORE_FIELDS.has(key) && !excluded.includes(key)) {
+        fields.add(key);
+      }
+    });
+  });
+  return Array.from(fields);
+}
+
+function* renderGpx(username, points) {
+  const extraFields = getExtraFields(points, ['altitude']);
+
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield `<gpx version="1.1" creator="live-location-share-server" xmlns="http://www.topografix.com/GPX/1/1" xmlns:mytracks="${XML_NAMESPACE}">\n`;
+  yield `  <trk>\n    <name>${escapeXml(username)}</name>\n    <trkseg>\n`;
+
+  for (const point of points) {
+    let trackPoint = `      <trkpt lat="${point.latitude}" lon="${point.longitude}">\n`;
+    if (typeof point.altitude === 'number') {
+      trackPoint += `        <ele>${point.altitude}</ele>\n`;
+    }
+    trackPoint += `        <time>${escapeXml(point.lastUpdate)}</time>\n`;
+
+    const extensions = extraFields
+      .filter(field => point[field] !== undefined && point[field] !== null)
+      .map(field => `          <mytracks:${field}>${escapeXml(point[field])}</mytracks:${field}>\n`);
+    if (extensions.length > 0) {
+      trackPoint += `        <extensions>\n${extensions.join('')}        </extensions>\n`;
+    }
+
+    yield `${trackPoint}      </trkpt>\n`;
+  }
+
+  yield '    </trkseg>\n  </trk>\n</gpx>\n';
+}
+
+function* renderGeoJson(username, points) {
+  const coordinates = points.map(point => (typeof point.altitude === 'number'
+    ? [point.longitude, point.latitude, point.altitude]
+    : [point.longitude, point.latitude]));
+
+  yield '{"type":"FeatureCollection","features":[';
+
+  // The whole track as a line, followed by every fix with its stored fields
+  yield JSON.stringify({
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates },
+    properties: {
+      name: username,
+      coordTimes: points.map(point => point.lastUpdate)
+    }
+  });
+
+  for (let i = 0; i < points.length; i++) {
+    const { latitude, longitude, ...properties } = points[i];
+    yield ',' + JSON.stringify({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: coordinates[i] },
+      properties: { ...properties, time: points[i].lastUpdate }
+    });
+  }
+
+  yield ']}\n';
+}
+
+function* renderKml(username, points) {
+  const extraFields = getExtraFields(points);
+
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n';
+  yield `<Document>\n  <name>${escapeXml(username)}</name>\n`;
+
+  if (extraFields.length > 0) {
+    yield '  <Schema id="location">\n';
+    for (const field of extraFields) {
+      yield `    <gx:SimpleArrayField name="${escapeXml(field)}" type="string"/>\n`;
+    }
+    yield '  </Schema>\n';
+  }
+
+  yield `  <Placemark>\n    <name>${escapeXml(username)}</name>\n    <gx:Track>\n`;
+  yield `      <altitudeMode>${points.some(point => typeof point.altitude === 'number') ? 'absolute' : 'clampToGround'}</altitudeMode>\n`;
+
+  for (const point of points) {
+    yield `      <when>${escapeXml(point.lastUpdate)}</when>\n`;
+  }
+  for (const point of points) {
+    yield `      <gx:coord>${point.longitude} ${point.latitude} ${typeof point.altitude === 'number' ? point.altitude : 0}</gx:coord>\n`;
+  }
+
+  if (extraFields.length > 0) {
+    yield '      <ExtendedData>\n        <SchemaData schemaUrl="#location">\n';
+    for (const field of extraFields) {
+      yield `          <gx:SimpleArrayData name="${escapeXml(field)}">\n`;
+      for (const point of points) {
+        const value = point[field] === undefined || point[field] === null ? '' : point[field];
+        yield `            <gx:value>${escapeXml(value)}</gx:value>\n`;
+      }
+      yield '          </gx:SimpleArrayData>\n';
+    }
+    yield '        </SchemaData>\n      </ExtendedData>\n';
+  }
+
+  yield '    </gx:Track>\n  </Placemark>\n</Document>\n</kml>\n';
+}
+
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', render: renderGpx },
+  geojson: { contentType: 'application/geo+json', render: renderGeoJson },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', render: renderKml }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  escapeXml
+};
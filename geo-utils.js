@@ -0,0 +1,221 @@
+// Geographic helpers shared by the location features
+
+const EARTH_RADIUS_METERS = 6371000;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in meters between two { latitude, longitude } points
+function haversineDistance(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Ray casting test; polygons are small enough to treat lat/lon as planar
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) /
+        (b.latitude - a.latitude) + a.longitude;
+
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+// Check whether a point lies within a circle or polygon geofence
+function isInsideGeofence(point, geofence) {
+  if (geofence.shape === 'circle') {
+    return haversineDistance(point, geofence.center) <= geofence.radius;
+  }
+
+  if (geofence.shape === 'polygon') {
+    return isPointInPolygon(point, geofence.points);
+  }
+
+  return false;
+}
+
+function isValidCoordinate(point) {
+  return Boolean(point) &&
+    typeof point.latitude === 'number' && point.latitude >= -90 && point.latitude <= 90 &&
+    typeof point.longitude === 'number' && point.longitude >= -180 && point.longitude <= 180;
+}
+
+// Check whether a point lies within a { north, south, east, west } bounding
+// box; boxes with west > east cross the antimeridian
+function isInsideBounds(point, bounds) {
+  if (point.latitude < bounds.south || point.latitude > bounds.north) {
+    return false;
+  }
+
+  return bounds.west <= bounds.east
+    ? point.longitude >= bounds.west && point.longitude <= bounds.east
+    : point.longitude >= bounds.west || point.longitude <= bounds.east;
+}
+
+function wrapLongitude(longitude) {
+  return longitude > 180 ? longitude - 360 : longitude < -180 ? longitude + 360 : longitude;
+}
+
+// Smallest bounding box containing the circle of `radius` meters around a point
+function getBoundsAround(point, radius) {
+  const latitudeDelta = radius / EARTH_RADIUS_METERS * 180 / Math.PI;
+  const north = point.latitude + latitudeDelta;
+  const south = point.latitude - latitudeDelta;
+
+  // Circles reaching a pole span every longitude
+  if (north >= 90 || south <= -90) {
+    return { north: Math.min(north, 90), south: Math.max(south, -90), east: 180, west: -180 };
+  }
+
+  const longitudeDelta = latitudeDelta / Math.cos(toRadians(point.latitude));
+  if (longitudeDelta >= 180) {
+    return { north, south, east: 180, west: -180 };
+  }
+
+  return {
+    north,
+    south,
+    east: wrapLongitude(point.longitude + longitudeDelta),
+    west: wrapLongitude(point.longitude - longitudeDelta)
+  };
+}
+
+// Bounding box grown by at least `distance` meters on every side
+function expandBounds(bounds, distance) {
+  const latitudeDelta = distance / EARTH_RADIUS_METERS * 180 / Math.PI;
+  const north = Math.min(bounds.north + latitudeDelta, 90);
+  const south = Math.max(bounds.south - latitudeDelta, -90);
+  if (north >= 90 || south <= -90) {
+    return { north, south, east: 180, west: -180 };
+  }
+
+  // Degrees of longitude are shortest at the latitude farthest from the equator
+  const longitudeDelta = latitudeDelta / Math.cos(toRadians(Math.max(Math.abs(north), Math.abs(south))));
+  const width = bounds.west <= bounds.east ? bounds.east - bounds.west : bounds.east - bounds.west + 360;
+  if (width + 2 * longitudeDelta >= 360) {
+    return { north, south, east: 180, west: -180 };
+  }
+
+  return {
+    north,
+    south,
+    east: wrapLongitude(bounds.east + longitudeDelta),
+    west: wrapLongitude(bounds.west - longitudeDelta)
+  };
+}
+
+function isValidBounds(bounds) {
+  return Boolean(bounds) &&
+    isValidCoordinate({ latitude: bounds.south, longitude: bounds.west }) &&
+    isValidCoordinate({ latitude: bounds.north, longitude: bounds.east }) &&
+    bounds.south <= bounds.north;
+}
+
+// Distance in meters from a point to the segment a-b, using a local
+// equirectangular projection around the point
+function distanceToSegment(point, a, b) {
+  const scale = Math.cos(toRadians(point.latitude));
+  const project = location => ({
+    x: toRadians(location.longitude - point.longitude) * scale * EARTH_RADIUS_METERS,
+    y: toRadians(location.latitude - point.latitude) * EARTH_RADIUS_METERS
+  });
+
+  const start = project(a);
+  const end = project(b);
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, -(start.x * dx + start.y * dy) / lengthSquared));
+  return Math.hypot(start.x + t * dx, start.y + t * dy);
+}
+
+// Douglas-Peucker importance of every point: the deviation at which the
+// point would be dropped, plus the order in which points were split off.
+// Endpoints are always kept.
+function getPointImportance(points) {
+  const importance = new Array(points.length).fill(0);
+  const discovery = new Array(points.length).fill(Infinity);
+  importance[0] = Infinity;
+  importance[points.length - 1] = Infinity;
+  discovery[0] = 0;
+  discovery[points.length - 1] = 1;
+  let discovered = 2;
+
+  const stack = [[0, points.length - 1, Infinity]];
+  while (stack.length > 0) {
+    const [first, last, parentImportance] = stack.pop();
+    let maxDistance = -1;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1) {
+      // A point never outranks the split that exposed it
+      importance[index] = Math.min(maxDistance, parentImportance);
+      discovery[index] = discovered++;
+      stack.push([first, index, importance[index]], [index, last, importance[index]]);
+    }
+  }
+
+  return { importance, discovery };
+}
+
+// Simplify a track, keeping points that deviate more than `tolerance` meters
+// and/or at most `maxPoints` of the most significant points, in their order
+function simplifyTrack(points, { tolerance = null, maxPoints = null } = {}) {
+  if (points.length <= 2) {
+    return points;
+  }
+
+  const { importance, discovery } = getPointImportance(points);
+  let kept = points.map((point, index) => index)
+    .filter(index => tolerance === null || importance[index] > tolerance);
+
+  if (maxPoints !== null && kept.length > maxPoints) {
+    // Most significant first; equal importance keeps the earlier split
+    kept = kept
+      .sort((a, b) => importance[b] - importance[a] || discovery[a] - discovery[b])
+      .slice(0, maxPoints)
+      .sort((a, b) => a - b);
+  }
+
+  return kept.map(index => points[index]);
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  haversineDistance,
+  isPointInPolygon,
+  isInsideGeofence,
+  isValidCoordinate,
+  isInsideBounds,
+  isValidBounds,
+  getBoundsAround,
+  expandBounds,
+  simplifyTrack
+};
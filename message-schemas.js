@@ -0,0 +1,228 @@
+// Shape of the `data` object of every inbound message type. The schemas only
+// check presence and types; handlers still check ranges, formats and
+// permissions and answer with their own error codes.
+const TIMESTAMP = ['string', 'number'];
+
+const required = type => ({ type, required: true });
+const optional = type => ({ type, required: false });
+
+const MESSAGE_SCHEMAS = {
+  hello: {
+    protocolVersion: required('integer')
+  },
+  resume: {
+    sessionToken: required('string'),
+    lastSeq: required('integer')
+  },
+  location_update: {
+    name: required('string'),
+    latitude: required('number'),
+    longitude: required('number'),
+    lastUpdate: optional(TIMESTAMP),
+    accuracy: optional('number'),
+    speed: optional('number'),
+    heading: optional('number'),
+    altitude: optional('number'),
+    battery: optional('number'),
+    activity: optional('string')
+  },
+  location_batch: {
+    name: optional('string'),
+    locations: required('array')
+  },
+  user_disconnect: {
+    name: optional('string')
+  },
+  get_users: {},
+  get_location_history: {
+    username: optional('string'),
+    startTime: optional(TIMESTAMP),
+    endTime: optional(TIMESTAMP),
+    limit: optional('number'),
+    order: optional('string'),
+    cursor: optional('string'),
+    tolerance: optional('number'),
+    maxPoints: optional('number')
+  },
+  get_timeline: {
+    username: optional('string'),
+    startTime: optional(TIMESTAMP),
+    endTime: optional(TIMESTAMP),
+    limit: optional('number')
+  },
+  create_circle: {
+    name: required('string')
+  },
+  join_circle: {
+    inviteCode: required('string')
+  },
+  leave_circle: {
+    circleId: required('string')
+  },
+  get_circles: {},
+  create_geofence: {
+    name: required('string'),
+    shape: required('string'),
+    center: optional('object'),
+    radius: optional('number'),
+    points: optional('array'),
+    circleId: optional('string')
+  },
+  get_geofences: {},
+  update_geofence: {
+    id: required('string'),
+    name: optional('string'),
+    shape: optional('string'),
+    center: optional('object'),
+    radius: optional('number'),
+    points: optional('array')
+  },
+  delete_geofence: {
+    id: required('string')
+  },
+  create_proximity_rule: {
+    name: optional('string'),
+    users: optional('array'),
+    circleId: optional('string'),
+    nearDistance: optional('number'),
+    farDistance: optional('number')
+  },
+  get_proximity_rules: {},
+  delete_proximity_rule: {
+    id: required('string')
+  },
+  get_nearby: {
+    latitude: required('number'),
+    longitude: required('number'),
+    radius: optional('number'),
+    limit: optional('number'),
+    includeOffline: optional('boolean')
+  },
+  subscribe_viewport: {
+    north: required('number'),
+    south: required('number'),
+    east: required('number'),
+    west: required('number')
+  },
+  unsubscribe_viewport: {},
+  get_sharing_settings: {},
+  set_ghost_mode: {
+    enabled: required('boolean')
+  },
+  set_sharing_visibility: {
+    visibility: required('string')
+  },
+  grant_access: {
+    username: required('string'),
+    durationMinutes: optional('number')
+  },
+  revoke_access: {
+    username: required('string')
+  },
+  set_precision: {
+    level: required('string'),
+    username: optional('string'),
+    circleId: optional('string')
+  },
+  clear_precision: {
+    username: optional('string'),
+    circleId: optional('string')
+  },
+  create_share_link: {
+    durationMinutes: optional('number')
+  },
+  get_share_links: {},
+  revoke_share_link: {
+    token: required('string')
+  },
+  export_data: {},
+  erase_data: {
+    confirm: optional('boolean')
+  }
+};
+
+const MAX_REQUEST_ID_LENGTH = 64;
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return typeOf(value) === type;
+}
+
+function isValidRequestId(requestId) {
+  return (typeof requestId === 'string' && requestId.length > 0 && requestId.length <= MAX_REQUEST_ID_LENGTH) ||
+    Number.isSafeInteger(requestId);
+}
+
+function isKnownMessageType(type) {
+  return Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, type);
+}
+
+// Validate the envelope and the data of an inbound message. Optional fields
+// may be null, which handlers treat like a missing field.
+function validateMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) ||
+      typeof message.type !== 'string' || !message.data) {
+    return { valid: false, code: 'INVALID_MESSAGE', message: 'Message must have type and data fields' };
+  }
+
+  if (message.requestId !== undefined && !isValidRequestId(message.requestId)) {
+    return {
+      valid: false,
+      code: 'INVALID_MESSAGE',
+      message: 'Invalid requestId',
+      details: `requestId must be an integer or a string of at most ${MAX_REQUEST_ID_LENGTH} characters`
+    };
+  }
+
+  if (!isKnownMessageType(message.type)) {
+    return { valid: false, code: 'UNKNOWN_MESSAGE_TYPE', message: `Unknown message type: ${message.type}` };
+  }
+
+  if (typeOf(message.data) !== 'object') {
+    return { valid: false, code: 'INVALID_MESSAGE', message: `Invalid ${message.type} message`, details: 'data must be an object' };
+  }
+
+  const problems = [];
+  Object.entries(MESSAGE_SCHEMAS[message.type]).forEach(([field, spec]) => {
+    const value = message.data[field];
+    const types = [].concat(spec.type);
+
+    if (value === undefined || value === null) {
+      if (spec.required) {
+        problems.push(`${field} is required`);
+      }
+    } else if (!types.some(type => matchesType(value, type))) {
+      problems.push(`${field} must be of type ${types.join(' or ')}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    return {
+      valid: false,
+      code: 'INVALID_MESSAGE',
+      message: `Invalid ${message.type} message`,
+      details: problems.join('; ')
+    };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  MESSAGE_SCHEMAS,
+  isValidRequestId,
+  isKnownMessageType,
+  validateMessage
+};
@@ -0,0 +1,157 @@
+// Minimal Prometheus instrumentation: counters, gauges and histograms with
+// labels, rendered in the text exposition format by a shared registry.
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their serialized labels
+function seriesKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.map(metric => metric.render()).join('');
+  }
+}
+
+const registry = new Registry();
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map(); // series key -> { labels, value }
+    registry.register(this);
+  }
+
+  getSeries(labels) {
+    const key = seriesKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...this.initialValue() });
+    }
+    return this.series.get(key);
+  }
+
+  initialValue() {
+    return { value: 0 };
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+
+  render() {
+    let output = this.header();
+    this.series.forEach(({ labels, value }) => {
+      output += `${this.name}${formatLabels(labels)} ${value}\n`;
+    });
+    return output;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+}
+
+// Gauges may provide a collect callback that sets their values at scrape time
+class Gauge extends Metric {
+  constructor(name, help, collect = null) {
+    super('gauge', name, help);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.collect(this);
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  initialValue() {
+    return { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Start a timer; calling the returned function observes the elapsed seconds
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  // Observe the duration of an async operation in seconds
+  async time(labels, operation) {
+    const endTimer = this.startTimer(labels);
+    try {
+      return await operation();
+    } finally {
+      endTimer();
+    }
+  }
+
+  render() {
+    let output = this.header();
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bucket, index) => {
+        output += `${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}\n`;
+      });
+      output += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}\n`;
+      output += `${this.name}_sum${formatLabels(labels)} ${sum}\n`;
+      output += `${this.name}_count${formatLabels(labels)} ${count}\n`;
+    });
+    return output;
+  }
+}
+
+module.exports = {
+  registry,
+  Counter,
+  Gauge,
+  Histogram
+};
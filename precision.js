@@ -0,0 +1,105 @@
+// Location precision levels a user can give each viewer. Coarse levels snap
+// coordinates to the centre of a fixed grid cell, so every fix inside a cell
+// yields the same coordinates and repeated updates cannot be averaged back to
+// the true position.
+const { EARTH_RADIUS_METERS } = require('./geo-utils');
+
+// Ordered from most to least precise
+const PRECISION_LEVELS = ['exact', 'street', 'city', 'hidden'];
+
+// Approximate edge length in meters of the grid cells of the coarse levels
+const GRID_SIZES = {
+  street: 100,
+  city: 5000
+};
+
+// Upper bound in meters on how far a coarsened position lies from the true
+// one: cells are at most twice as wide as high, so half a diagonal is below
+// 1.2 cell heights
+const MAX_COARSENING_ERROR = 1.2 * Math.max(...Object.values(GRID_SIZES));
+
+// Readings that would reveal more than the grid cell does
+const PRECISE_FIELDS = ['speed', 'heading', 'altitude'];
+
+const METERS_PER_DEGREE = EARTH_RADIUS_METERS * Math.PI / 180;
+
+function isPrecisionLevel(level) {
+  return PRECISION_LEVELS.includes(level);
+}
+
+// The most precise of several levels, or null when there are none
+function mostPrecise(levels) {
+  return levels.reduce((best, level) => (
+    best === null || PRECISION_LEVELS.indexOf(level) < PRECISION_LEVELS.indexOf(best) ? level : best
+  ), null);
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Centre of the grid cell containing a point. Cells are `size` meters high;
+// every row is split into a whole number of cells about `size` meters wide,
+// so the grid is fixed and rows never have a partial cell at the antimeridian.
+function snapToGrid(point, size) {
+  const latitudeStep = size / METERS_PER_DEGREE;
+  const rows = Math.ceil(180 / latitudeStep);
+  const row = Math.min(Math.floor((point.latitude + 90) / latitudeStep), rows - 1);
+  const latitude = Math.min(-90 + (row + 0.5) * latitudeStep, 90);
+
+  const rowWidth = 360 * METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180);
+  const columns = Math.max(1, Math.floor(rowWidth / size));
+  const longitudeStep = 360 / columns;
+  const column = Math.min(Math.floor((point.longitude + 180) / longitudeStep), columns - 1);
+
+  return {
+    latitude: round(latitude),
+    longitude: round(-180 + (column + 0.5) * longitudeStep)
+  };
+}
+
+// Copy of a location as a viewer with the given level may see it. Objects
+// without coordinates are returned unchanged.
+function coarsenLocation(location, level) {
+  if (level === 'exact' || !location ||
+      typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+    return location;
+  }
+
+  const coarse = {
+    ...location,
+    ...snapToGrid(location, GRID_SIZES[level]),
+    accuracy: GRID_SIZES[level],
+    precision: level
+  };
+  PRECISE_FIELDS.forEach(field => delete coarse[field]);
+  return coarse;
+}
+
+// Copy of a timeline segment with its stay location or trip endpoints coarsened
+function coarsenSegment(segment, level) {
+  if (level === 'exact' || !segment) {
+    return segment;
+  }
+
+  if (segment.type === 'stay') {
+    return { ...segment, location: snapToGrid(segment.location, GRID_SIZES[level]), precision: level };
+  }
+  return {
+    ...segment,
+    start: snapToGrid(segment.start, GRID_SIZES[level]),
+    end: snapToGrid(segment.end, GRID_SIZES[level]),
+    precision: level
+  };
+}
+
+module.exports = {
+  PRECISION_LEVELS,
+  GRID_SIZES,
+  MAX_COARSENING_ERROR,
+  isPrecisionLevel,
+  mostPrecise,
+  snapToGrid,
+  coarsenLocation,
+  coarsenSegment
+};
@@ -1,22 +1,33 @@
-const { createClient } = require('redis');
+const { createClient, GeoReplyWith } = require('redis');
+const { Histogram } = require('./metrics');
+const { loadConfig } = require('./config');
+
+const operationDuration = new Histogram(
+  'location_share_redis_operation_duration_seconds',
+  'Latency of Redis operations by RedisService method',
+  [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+);
 
 class RedisService {
-  constructor() {
+  constructor(options = loadConfig().redis) {
     this.client = null;
+    this.subscriber = null; // dedicated connection for pub/sub
     this.isConnected = false;
-    this.redisHost = process.env.REDIS_HOST || 'localhost';
-    this.redisPort = process.env.REDIS_PORT || 6379;
-    this.redisPassword = process.env.REDIS_PASSWORD || null;
-    this.redisDb = process.env.REDIS_DB || 0;
-    this.isCluster = process.env.REDIS_CLUSTER === 'true' || false;
+    this.memoryOnly = false; // the initial connection failed for good, nothing is stored
+    this.redisHost = options.host;
+    this.redisPort = options.port;
+    this.redisPassword = options.password;
+    this.redisDb = options.db;
+    this.isCluster = options.cluster;
     
-    // Configuration
-    this.config = {
-      maxLocationEntries: 100, // Keep only latest 100 entries per user
-      locationTTL: 7 * 24 * 60 * 60, // 7 days TTL for location data
-      userTTL: 30 * 24 * 60 * 60, // 30 days TTL for user metadata
-      keyPrefix: 'location_share:'
-    };
+    // Storage limits, TTLs (seconds) and key names. The object is shared with
+    // the server configuration so reloaded limits and TTLs apply immediately.
+    this.config = options;
+  }
+
+  // Start timing a Redis operation; call the returned function when it is done
+  startTimer(operation) {
+    return operationDuration.startTimer({ operation });
   }
 
   async connect() {
@@ -60,16 +71,29 @@ class RedisService {
 
       await this.client.connect();
       console.log(`✅ Connected to Redis at ${this.redisHost}:${this.redisPort}`);
+
+      await this.ensureUserIndex();
+      await this.ensureGeoIndex();
       
       return true;
     } catch (error) {
       console.error('Failed to connect to Redis:', error);
       this.isConnected = false;
+      this.memoryOnly = true;
       return false;
     }
   }
 
   async disconnect() {
+    if (this.subscriber) {
+      try {
+        await this.subscriber.quit();
+      } catch (error) {
+        console.error('Error disconnecting Redis subscriber:', error);
+      }
+      this.subscriber = null;
+    }
+
     if (this.client && this.isConnected) {
       try {
         await this.client.quit();
@@ -80,52 +104,134 @@ class RedisService {
     }
   }
 
-  // Store user location with timestamp as score in ZSET
-  async storeUserLocation(username, locationData) {
+  // Build the user index from existing location keys (only needed once, after upgrading)
+  async ensureUserIndex() {
+    const indexKey = `${this.config.keyPrefix}users`;
+    if (await this.client.exists(indexKey)) {
+      return;
+    }
+
+    let indexed = 0;
+    const prefix = `${this.config.keyPrefix}locations:`;
+
+    // SCAN instead of KEYS so a large keyspace does not block Redis
+    for await (const locationKey of this.client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+      const latest = await this.client.zRangeWithScores(locationKey, 0, 0, { REV: true });
+      if (latest.length > 0) {
+        await this.client.zAdd(indexKey, { score: latest[0].score, value: locationKey.slice(prefix.length) });
+        indexed++;
+      }
+    }
+
+    if (indexed > 0) {
+      console.log(`📇 Indexed ${indexed} existing user(s)`);
+    }
+  }
+
+  // Build the GEO set of latest positions for users indexed before it existed
+  async ensureGeoIndex() {
+    const geoKey = `${this.config.keyPrefix}geo`;
+    if (await this.client.exists(geoKey)) {
+      return;
+    }
+
+    const usernames = await this.client.zRange(`${this.config.keyPrefix}users`, 0, -1);
+    const users = await this.fetchLatestLocations(usernames);
+    if (users.length === 0) {
+      return;
+    }
+
+    await this.client.geoAdd(geoKey, users.map(user => ({
+      longitude: user.longitude,
+      latitude: user.latitude,
+      member: user.name
+    })));
+    console.log(`📍 Indexed positions of ${users.length} existing user(s)`);
+  }
+
+  // Store user location with timestamp as score in ZSET. When a server id is
+  // given the user's online marker is refreshed in the same round-trip.
+  async storeUserLocation(username, locationData, serverId = null, timestamp = Date.now()) {
     if (!this.isConnected) {
       console.warn('Redis not connected, skipping location storage');
       return false;
     }
 
+    const endTimer = this.startTimer('storeUserLocation');
     try {
-      const timestamp = Date.now();
+      const lastUpdate = locationData.lastUpdate || new Date().toISOString();
       const locationKey = `${this.config.keyPrefix}locations:${username}`;
       const userKey = `${this.config.keyPrefix}user:${username}`;
       
-      // Store location data in ZSET with timestamp as score
+      // Store location data (with any optional readings) in ZSET with timestamp as score
       const locationEntry = JSON.stringify({
-        latitude: locationData.latitude,
-        longitude: locationData.longitude,
-        name: locationData.name,
-        lastUpdate: locationData.lastUpdate || new Date().toISOString()
-      });
-
-      // Add to ZSET
-      await this.client.zAdd(locationKey, {
-        score: timestamp,
-        value: locationEntry
+        ...locationData,
+        lastUpdate
       });
 
-      // Keep only latest 100 entries
-      await this.client.zRemRangeByRank(locationKey, 0, -this.config.maxLocationEntries - 1);
-
-      // Set TTL for location data
-      await this.client.expire(locationKey, this.config.locationTTL);
+      const multi = this.client.multi()
+        .zAdd(locationKey, { score: timestamp, value: locationEntry })
+        // Keep only the latest redis.maxLocationEntries entries
+        .zRemRangeByRank(locationKey, 0, -this.config.maxLocationEntries - 1)
+        .expire(locationKey, this.config.locationTTL)
+        // Store user metadata; receiving an update means the user is online
+        .hSet(userKey, {
+          name: locationData.name,
+          lastUpdate,
+          status: 'online',
+          lastSeen: new Date(timestamp).toISOString()
+        })
+        .expire(userKey, this.config.userTTL)
+        // Keep the user index ordered by last update
+        .zAdd(`${this.config.keyPrefix}users`, { score: timestamp, value: username })
+        // Latest position of every user for nearby searches
+        .geoAdd(`${this.config.keyPrefix}geo`, {
+          longitude: locationData.longitude,
+          latitude: locationData.latitude,
+          member: username
+        });
 
-      // Store user metadata
-      await this.client.hSet(userKey, {
-        name: locationData.name,
-        lastUpdate: locationData.lastUpdate || new Date().toISOString()
-      });
+      if (serverId) {
+        multi.set(`${this.config.keyPrefix}online:${username}`, serverId, { EX: this.config.onlineTTL });
+      }
 
-      // Set TTL for user metadata
-      await this.client.expire(userKey, this.config.userTTL);
+      await multi.exec();
 
       console.log(`📍 Stored location for user ${username} at ${new Date(timestamp).toISOString()}`);
       return true;
     } catch (error) {
       console.error('Error storing user location:', error);
       return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Store past locations, each scored by its own timestamp. Identical entries
+  // collapse into one ZSET member, so fixes uploaded twice are kept once.
+  async storeLocationHistory(username, entries) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping location history storage');
+      return false;
+    }
+
+    const endTimer = this.startTimer('storeLocationHistory');
+    try {
+      const locationKey = `${this.config.keyPrefix}locations:${username}`;
+
+      await this.client.multi()
+        .zAdd(locationKey, entries.map(({ location, timestamp }) => ({ score: timestamp, value: JSON.stringify(location) })))
+        .zRemRangeByRank(locationKey, 0, -this.config.maxLocationEntries - 1)
+        .expire(locationKey, this.config.locationTTL)
+        .exec();
+
+      console.log(`📍 Stored ${entries.length} past location(s) for user ${username}`);
+      return true;
+    } catch (error) {
+      console.error('Error storing location history:', error);
+      return false;
+    } finally {
+      endTimer();
     }
   }
 
@@ -136,91 +242,220 @@ class RedisService {
       return null;
     }
 
+    const endTimer = this.startTimer('getLatestUserLocation');
+    try {
+      const [userData] = await this.fetchLatestLocations([username]);
+      return userData || null;
+    } catch (error) {
+      console.error('Error retrieving user location:', error);
+      return null;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Fetch the latest location and metadata of several users in one pipeline
+  async fetchLatestLocations(usernames) {
+    if (usernames.length === 0) {
+      return [];
+    }
+
+    const pipeline = this.client.multi();
+    usernames.forEach(username => {
+      // Latest location first (highest score = latest)
+      pipeline.zRange(`${this.config.keyPrefix}locations:${username}`, 0, 0, { REV: true });
+      pipeline.hGetAll(`${this.config.keyPrefix}user:${username}`);
+    });
+
+    const replies = await pipeline.execAsPipeline();
+    const users = [];
+
+    for (let i = 0; i < usernames.length; i++) {
+      const latestLocation = replies[i * 2];
+      const userMetadata = replies[i * 2 + 1];
+
+      if (latestLocation.length > 0) {
+        users.push({
+          ...JSON.parse(latestLocation[0]),
+          ...userMetadata
+        });
+      }
+    }
+
+    return users;
+  }
+
+  // Get location history for a user (with optional time range and entry limit), latest first
+  async getUserLocationHistory(username, startTime = null, endTime = null, limit = null) {
+    const page = await this.getUserLocationHistoryPage(username, { startTime, endTime, limit });
+    return page.history;
+  }
+
+  // Get one page of location history. Either bound of the time range may be
+  // omitted; `after` is the `next` position returned with the previous page:
+  // the score its last entry had and how many entries with that score it
+  // and the pages before it returned, since several fixes can share a score.
+  async getUserLocationHistoryPage(username, { startTime = null, endTime = null, limit = null, order = 'desc', after = null } = {}) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot retrieve location history');
+      return { history: [], next: null, hasMore: false };
+    }
+
+    const endTimer = this.startTimer('getUserLocationHistoryPage');
     try {
       const locationKey = `${this.config.keyPrefix}locations:${username}`;
-      const userKey = `${this.config.keyPrefix}user:${username}`;
+      const descending = order === 'desc';
 
-      // Get the latest location from ZSET (highest score = latest)
-      const latestLocation = await this.client.zRange(locationKey, -1, -1, { REV: true });
-      
-      if (latestLocation.length === 0) {
-        return null;
+      let min = startTime === null ? -Infinity : startTime;
+      let max = endTime === null ? Infinity : endTime;
+      let offset = 0;
+      if (after !== null) {
+        // Continue at the score the previous page ended with, past the
+        // entries with that score that were already returned. The cursor
+        // only ever narrows the requested range.
+        if (descending) {
+          max = Math.min(max, after.score);
+        } else {
+          min = Math.max(min, after.score);
+        }
+        offset = after.skip;
+      }
+      min = min === -Infinity ? '-inf' : min;
+      max = max === Infinity ? '+inf' : max;
+
+      // With REV the score range is given from highest to lowest (latest first).
+      // One extra entry is fetched to tell whether another page follows.
+      const entries = await this.client.zRangeWithScores(locationKey, descending ? max : min, descending ? min : max, {
+        BY: 'SCORE',
+        REV: descending,
+        ...((limit || offset) && { LIMIT: { offset, count: limit ? limit + 1 : -1 } })
+      });
+
+      const hasMore = Boolean(limit) && entries.length > limit;
+      const page = hasMore ? entries.slice(0, limit) : entries;
+
+      let next = null;
+      if (page.length > 0) {
+        const score = page[page.length - 1].score;
+        const skip = page.filter(entry => entry.score === score).length;
+        next = { score, skip: after !== null && after.score === score ? after.skip + skip : skip };
       }
 
-      const locationData = JSON.parse(latestLocation[0]);
-      
-      // Get user metadata
-      const userMetadata = await this.client.hGetAll(userKey);
-      
       return {
-        ...locationData,
-        ...userMetadata
+        history: page.map(entry => JSON.parse(entry.value)),
+        next,
+        hasMore
       };
     } catch (error) {
-      console.error('Error retrieving user location:', error);
+      console.error('Error retrieving location history:', error);
+      return { history: [], next: null, hasMore: false };
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get the in-progress timeline segmentation state of a user
+  async getTimelineState(username) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    const endTimer = this.startTimer('getTimelineState');
+    try {
+      const state = await this.client.get(`${this.config.keyPrefix}timeline_state:${username}`);
+      return state ? JSON.parse(state) : null;
+    } catch (error) {
+      console.error('Error retrieving timeline state:', error);
       return null;
+    } finally {
+      endTimer();
     }
   }
 
-  // Get location history for a user (with time range)
-  async getUserLocationHistory(username, startTime = null, endTime = null) {
+  // Store the timeline state together with any newly completed segments
+  async saveTimeline(username, state, completedSegments = []) {
     if (!this.isConnected) {
-      console.warn('Redis not connected, cannot retrieve location history');
-      return [];
+      return false;
     }
 
+    const endTimer = this.startTimer('saveTimeline');
     try {
-      const locationKey = `${this.config.keyPrefix}locations:${username}`;
-      
-      let options = { REV: true }; // Get in reverse order (latest first)
-      
-      if (startTime && endTime) {
-        options.BYSCORE = true;
-        options.MIN = startTime;
-        options.MAX = endTime;
+      const timelineKey = `${this.config.keyPrefix}timeline:${username}`;
+      const multi = this.client.multi()
+        .set(`${this.config.keyPrefix}timeline_state:${username}`, JSON.stringify(state), { EX: this.config.locationTTL });
+
+      if (completedSegments.length > 0) {
+        multi
+          .zAdd(timelineKey, completedSegments.map(segment => ({
+            score: new Date(segment.startTime).getTime(),
+            value: JSON.stringify(segment)
+          })))
+          .zRemRangeByRank(timelineKey, 0, -this.config.maxTimelineSegments - 1)
+          .expire(timelineKey, this.config.locationTTL);
       }
 
-      const locations = await this.client.zRange(locationKey, 0, -1, options);
-      
-      return locations.map(location => {
-        const data = JSON.parse(location);
-        return {
-          ...data
-        };
-      });
+      await multi.exec();
+      return true;
     } catch (error) {
-      console.error('Error retrieving location history:', error);
-      return [];
+      console.error('Error storing timeline:', error);
+      return false;
+    } finally {
+      endTimer();
     }
   }
 
-  // Get all users with their latest locations
-  async getAllUsersWithLocations() {
+  // Get completed trips and stays, latest first, optionally within a time range
+  async getTimeline(username, startTime = null, endTime = null, limit = null) {
     if (!this.isConnected) {
-      console.warn('Redis not connected, cannot retrieve users');
+      console.warn('Redis not connected, cannot retrieve timeline');
       return [];
     }
 
+    const endTimer = this.startTimer('getTimeline');
     try {
-      // Look for location keys instead of user keys to avoid duplicates
-      const pattern = `${this.config.keyPrefix}locations:*`;
-      const locationKeys = await this.client.keys(pattern);
-      
-      const users = [];
-      
-      for (const locationKey of locationKeys) {
-        const username = locationKey.replace(`${this.config.keyPrefix}locations:`, '');
-        const userData = await this.getLatestUserLocation(username);
-        
-        if (userData) {
-          users.push(userData);
+      const segments = await this.client.zRange(
+        `${this.config.keyPrefix}timeline:${username}`,
+        endTime || '+inf',
+        startTime || '-inf',
+        {
+          BY: 'SCORE',
+          REV: true,
+          ...(limit && { LIMIT: { offset: 0, count: limit } })
         }
-      }
-      
-      return users;
+      );
+
+      return segments.map(segment => JSON.parse(segment));
     } catch (error) {
-      console.error('Error retrieving all users:', error);
+      console.error('Error retrieving timeline:', error);
       return [];
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Users whose latest position lies within `radius` meters of a point,
+  // nearest first. Returns null when Redis cannot answer.
+  async getNearbyUsers(latitude, longitude, radius, count) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    const endTimer = this.startTimer('getNearbyUsers');
+    try {
+      const results = await this.client.geoSearchWith(
+        `${this.config.keyPrefix}geo`,
+        { longitude, latitude },
+        { radius, unit: 'm' },
+        [GeoReplyWith.DISTANCE],
+        { SORT: 'ASC', COUNT: count }
+      );
+
+      return results.map(result => ({ name: result.member, distance: Number(result.distance) }));
+    } catch (error) {
+      console.error('Error searching nearby users:', error);
+      return null;
+    } finally {
+      endTimer();
     }
   }
 
@@ -231,18 +466,223 @@ class RedisService {
       return false;
     }
 
+    const endTimer = this.startTimer('removeUser');
     try {
       const locationKey = `${this.config.keyPrefix}locations:${username}`;
       const userKey = `${this.config.keyPrefix}user:${username}`;
 
-      await this.client.del(locationKey);
-      await this.client.del(userKey);
+      await this.client.multi()
+        .del(locationKey)
+        .del(userKey)
+        .del(`${this.config.keyPrefix}timeline:${username}`)
+        .del(`${this.config.keyPrefix}timeline_state:${username}`)
+        .zRem(`${this.config.keyPrefix}users`, username)
+        .zRem(`${this.config.keyPrefix}geo`, username)
+        .exec();
       
       console.log(`🗑️ Removed user data for ${username}`);
       return true;
     } catch (error) {
       console.error('Error removing user:', error);
       return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Permanently remove everything stored about a user: their own keys, circle
+  // memberships, geofences, share links, proximity rules they own or are
+  // named in, their entries in the sharing settings of related users and
+  // every mention in their circles.
+  async eraseUser(username, relatedUsers = []) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot erase user');
+      return false;
+    }
+
+    const endTimer = this.startTimer('eraseUser');
+    try {
+      const prefix = this.config.keyPrefix;
+      const [circleIds, geofenceIds, linkTokens] = await this.client.multi()
+        .sMembers(`${prefix}user_circles:${username}`)
+        .sMembers(`${prefix}geofences:user:${username}`)
+        .sMembers(`${prefix}share_links:${username}`)
+        .execAsPipeline();
+      const rules = new Map([
+        ...await this.getProximityRules('owner', username),
+        ...await this.getProximityRules('user', username)
+      ].map(rule => [rule.id, rule]));
+
+      const multi = this.client.multi();
+      [
+        'locations', 'user', 'timeline', 'timeline_state', 'online', 'geofence_state', 'geofences:user',
+        'sharing', 'sharing_grants', 'sharing_precision', 'shared_with', 'precision_for', 'user_circles',
+        'share_links'
+      ].forEach(key => multi.del(`${prefix}${key}:${username}`));
+      multi.zRem(`${prefix}users`, username).zRem(`${prefix}geo`, username);
+
+      geofenceIds.forEach(id => multi.del(`${prefix}geofence:${id}`));
+      linkTokens.forEach(token => multi.del(`${prefix}share_link:${token}`));
+      circleIds.forEach(circleId => multi.sRem(`${prefix}circle_members:${circleId}`, username));
+      rules.forEach(rule => {
+        multi.del(`${prefix}proximity_rule:${rule.id}`).del(`${prefix}proximity_state:${rule.id}`);
+        this.getProximityIndexKeys(rule).forEach(indexKey => multi.sRem(indexKey, rule.id));
+      });
+      relatedUsers.forEach(user => {
+        multi.hDel(`${prefix}sharing_grants:${user}`, username)
+          .hDel(`${prefix}sharing_precision:${user}`, `user:${username}`)
+          .sRem(`${prefix}shared_with:${user}`, username)
+          .sRem(`${prefix}precision_for:${user}`, username);
+      });
+
+      await multi.exec();
+
+      for (const circleId of circleIds) {
+        await this.eraseUserFromCircle(circleId, username);
+      }
+
+      console.log(`🗑️ Erased all data of ${username}`);
+      return true;
+    } catch (error) {
+      console.error('Error erasing user:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Remove what a circle still records about an erased former member: a
+  // circle they created passes to the first remaining member by name, their
+  // circle geofences lose their creator and the pair states of circle rules
+  // that include them are dropped. Circles left without members are deleted.
+  async eraseUserFromCircle(circleId, username) {
+    const prefix = this.config.keyPrefix;
+    const members = await this.client.sMembers(`${prefix}circle_members:${circleId}`);
+
+    for (const geofence of await this.getGeofences('circle', circleId)) {
+      if (geofence.createdBy === username) {
+        await this.client.set(`${prefix}geofence:${geofence.id}`, JSON.stringify({ ...geofence, createdBy: null }));
+      }
+    }
+
+    for (const rule of await this.getProximityRules('circle', circleId)) {
+      const stateKey = `${prefix}proximity_state:${rule.id}`;
+      const pairKeys = (await this.client.hKeys(stateKey)).filter(pairKey => JSON.parse(pairKey).includes(username));
+      if (pairKeys.length > 0) {
+        await this.client.hDel(stateKey, pairKeys);
+      }
+    }
+
+    if (members.length === 0) {
+      await this.deleteCircle(circleId);
+    } else if (await this.client.hGet(`${prefix}circle:${circleId}`, 'owner') === username) {
+      await this.client.hSet(`${prefix}circle:${circleId}`, 'owner', members.sort()[0]);
+    }
+  }
+
+  // Erasures are audited in a list that is never trimmed or expired
+  async recordErasure(record) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping erasure audit record');
+      return false;
+    }
+
+    const endTimer = this.startTimer('recordErasure');
+    try {
+      await this.client.rPush(`${this.config.keyPrefix}erasures`, JSON.stringify(record));
+      return true;
+    } catch (error) {
+      console.error('Error storing erasure audit record:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  async getErasures() {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    const endTimer = this.startTimer('getErasures');
+    try {
+      const records = await this.client.lRange(`${this.config.keyPrefix}erasures`, 0, -1);
+      return records.map(record => JSON.parse(record));
+    } catch (error) {
+      console.error('Error retrieving erasure audit records:', error);
+      return [];
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Bans are kept in one hash with fields `username:{name}` and `ip:{address}`
+  async saveBan(ban) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping ban storage');
+      return false;
+    }
+
+    const endTimer = this.startTimer('saveBan');
+    try {
+      await this.client.hSet(`${this.config.keyPrefix}bans`, `${ban.type}:${ban.value}`, JSON.stringify(ban));
+      return true;
+    } catch (error) {
+      console.error('Error storing ban:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  async getBans() {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    const endTimer = this.startTimer('getBans');
+    try {
+      const bans = await this.client.hGetAll(`${this.config.keyPrefix}bans`);
+      return Object.values(bans).map(ban => JSON.parse(ban));
+    } catch (error) {
+      console.error('Error retrieving bans:', error);
+      return [];
+    } finally {
+      endTimer();
+    }
+  }
+
+  async removeBan(type, value) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    const endTimer = this.startTimer('removeBan');
+    try {
+      return (await this.client.hDel(`${this.config.keyPrefix}bans`, `${type}:${value}`)) > 0;
+    } catch (error) {
+      console.error('Error removing ban:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // The user's metadata hash as stored, or null when there is none
+  async getUserMetadata(username) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    const endTimer = this.startTimer('getUserMetadata');
+    try {
+      const metadata = await this.client.hGetAll(`${this.config.keyPrefix}user:${username}`);
+      return Object.keys(metadata).length > 0 ? metadata : null;
+    } catch (error) {
+      console.error('Error retrieving user metadata:', error);
+      return null;
+    } finally {
+      endTimer();
     }
   }
 
@@ -252,6 +692,7 @@ class RedisService {
       return false;
     }
 
+    const endTimer = this.startTimer('userExists');
     try {
       const userKey = `${this.config.keyPrefix}user:${username}`;
       const exists = await this.client.exists(userKey);
@@ -259,39 +700,868 @@ class RedisService {
     } catch (error) {
       console.error('Error checking user existence:', error);
       return false;
+    } finally {
+      endTimer();
     }
   }
 
-  // Get Redis connection status
-  getConnectionStatus() {
-    return {
-      connected: this.isConnected,
-      host: this.redisHost,
-      port: this.redisPort
-    };
+  // Get the latest locations for a specific set of users. Returns null when
+  // Redis cannot answer.
+  async getUsersWithLocations(usernames) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot retrieve users');
+      return null;
+    }
+
+    const endTimer = this.startTimer('getUsersWithLocations');
+    try {
+      return await this.fetchLatestLocations(usernames);
+    } catch (error) {
+      console.error('Error retrieving users:', error);
+      return null;
+    } finally {
+      endTimer();
+    }
   }
 
-  // Clean up old entries (can be called periodically)
-  async cleanupOldEntries() {
+  // Create a sharing circle with its owner as the first member
+  async createCircle(circle) {
     if (!this.isConnected) {
-      return;
+      console.warn('Redis not connected, skipping circle storage');
+      return false;
     }
 
+    const endTimer = this.startTimer('createCircle');
     try {
-      const pattern = `${this.config.keyPrefix}locations:*`;
-      const locationKeys = await this.client.keys(pattern);
-      
-      const now = Date.now();
-      const cutoffTime = now - (this.config.locationTTL * 1000);
-      
-      for (const key of locationKeys) {
-        // Remove entries older than TTL
-        await this.client.zRemRangeByScore(key, 0, cutoffTime);
+      const circleKey = `${this.config.keyPrefix}circle:${circle.id}`;
+      const inviteKey = `${this.config.keyPrefix}invite:${circle.inviteCode}`;
+
+      await this.client.hSet(circleKey, {
+        id: circle.id,
+        name: circle.name,
+        owner: circle.owner,
+        inviteCode: circle.inviteCode,
+        createdAt: circle.createdAt
+      });
+      await this.client.set(inviteKey, circle.id);
+      await this.addCircleMember(circle.id, circle.owner);
+
+      console.log(`👪 Stored circle ${circle.id} owned by ${circle.owner}`);
+      return true;
+    } catch (error) {
+      console.error('Error storing circle:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get a circle with its member list
+  async getCircle(circleId) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot retrieve circle');
+      return null;
+    }
+
+    const endTimer = this.startTimer('getCircle');
+    try {
+      const circleKey = `${this.config.keyPrefix}circle:${circleId}`;
+      const membersKey = `${this.config.keyPrefix}circle_members:${circleId}`;
+
+      const circle = await this.client.hGetAll(circleKey);
+      if (!circle || !circle.id) {
+        return null;
+      }
+
+      const members = await this.client.sMembers(membersKey);
+      return { ...circle, members };
+    } catch (error) {
+      console.error('Error retrieving circle:', error);
+      return null;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Resolve an invite code to a circle id
+  async getCircleIdByInviteCode(inviteCode) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot resolve invite code');
+      return null;
+    }
+
+    const endTimer = this.startTimer('getCircleIdByInviteCode');
+    try {
+      return await this.client.get(`${this.config.keyPrefix}invite:${inviteCode}`);
+    } catch (error) {
+      console.error('Error resolving invite code:', error);
+      return null;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get the ids of all circles a user belongs to
+  async getUserCircleIds(username) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot retrieve user circles');
+      return [];
+    }
+
+    const endTimer = this.startTimer('getUserCircleIds');
+    try {
+      return await this.client.sMembers(`${this.config.keyPrefix}user_circles:${username}`);
+    } catch (error) {
+      console.error('Error retrieving user circles:', error);
+      return [];
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Add a user to a circle
+  async addCircleMember(circleId, username) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping circle membership storage');
+      return false;
+    }
+
+    const endTimer = this.startTimer('addCircleMember');
+    try {
+      await this.client.sAdd(`${this.config.keyPrefix}circle_members:${circleId}`, username);
+      await this.client.sAdd(`${this.config.keyPrefix}user_circles:${username}`, circleId);
+      return true;
+    } catch (error) {
+      console.error('Error adding circle member:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Remove a user from a circle, deleting the circle once it is empty
+  async removeCircleMember(circleId, username) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping circle membership removal');
+      return false;
+    }
+
+    const endTimer = this.startTimer('removeCircleMember');
+    try {
+      const membersKey = `${this.config.keyPrefix}circle_members:${circleId}`;
+
+      await this.client.sRem(membersKey, username);
+      await this.client.sRem(`${this.config.keyPrefix}user_circles:${username}`, circleId);
+
+      const remaining = await this.client.sCard(membersKey);
+      if (remaining === 0) {
+        await this.deleteCircle(circleId);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error removing circle member:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Delete a circle and its invite code
+  async deleteCircle(circleId) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    const endTimer = this.startTimer('deleteCircle');
+    try {
+      const circleKey = `${this.config.keyPrefix}circle:${circleId}`;
+      const inviteCode = await this.client.hGet(circleKey, 'inviteCode');
+
+      if (inviteCode) {
+        await this.client.del(`${this.config.keyPrefix}invite:${inviteCode}`);
+      }
+      await this.client.del(circleKey);
+      await this.client.del(`${this.config.keyPrefix}circle_members:${circleId}`);
+
+      console.log(`🗑️ Removed circle ${circleId}`);
+      return true;
+    } catch (error) {
+      console.error('Error removing circle:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Store or replace a geofence and index it under its owner
+  async saveGeofence(geofence) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping geofence storage');
+      return false;
+    }
+
+    const endTimer = this.startTimer('saveGeofence');
+    try {
+      const geofenceKey = `${this.config.keyPrefix}geofence:${geofence.id}`;
+      const indexKey = `${this.config.keyPrefix}geofences:${geofence.ownerType}:${geofence.ownerId}`;
+
+      await this.client.set(geofenceKey, JSON.stringify(geofence));
+      await this.client.sAdd(indexKey, geofence.id);
+      return true;
+    } catch (error) {
+      console.error('Error storing geofence:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get all geofences owned by a user or circle
+  async getGeofences(ownerType, ownerId) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot retrieve geofences');
+      return [];
+    }
+
+    const endTimer = this.startTimer('getGeofences');
+    try {
+      const indexKey = `${this.config.keyPrefix}geofences:${ownerType}:${ownerId}`;
+      const ids = await this.client.sMembers(indexKey);
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const entries = await this.client.mGet(ids.map(id => `${this.config.keyPrefix}geofence:${id}`));
+      return entries.filter(Boolean).map(entry => JSON.parse(entry));
+    } catch (error) {
+      console.error('Error retrieving geofences:', error);
+      return [];
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Delete a geofence, remove it from its owner's index and drop the
+  // inside/outside state the given users had recorded for it
+  async deleteGeofence(geofence, usernames = []) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot remove geofence');
+      return false;
+    }
+
+    const endTimer = this.startTimer('deleteGeofence');
+    try {
+      const indexKey = `${this.config.keyPrefix}geofences:${geofence.ownerType}:${geofence.ownerId}`;
+
+      const multi = this.client.multi()
+        .del(`${this.config.keyPrefix}geofence:${geofence.id}`)
+        .sRem(indexKey, geofence.id);
+      usernames.forEach(username => multi.hDel(`${this.config.keyPrefix}geofence_state:${username}`, geofence.id));
+
+      await multi.exec();
+      return true;
+    } catch (error) {
+      console.error('Error removing geofence:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get the last known inside/outside state of a user for each geofence
+  async getGeofenceStates(username) {
+    if (!this.isConnected) {
+      return {};
+    }
+
+    const endTimer = this.startTimer('getGeofenceStates');
+    try {
+      return await this.client.hGetAll(`${this.config.keyPrefix}geofence_state:${username}`);
+    } catch (error) {
+      console.error('Error retrieving geofence states:', error);
+      return {};
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Persist a user's inside/outside state for a geofence
+  async setGeofenceState(username, geofenceId, state) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    const endTimer = this.startTimer('setGeofenceState');
+    try {
+      await this.client.hSet(`${this.config.keyPrefix}geofence_state:${username}`, geofenceId, state);
+      return true;
+    } catch (error) {
+      console.error('Error storing geofence state:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Index keys a proximity rule is listed under: its owner and its subjects
+  getProximityIndexKeys(rule) {
+    const subjects = rule.circleId ? [`circle:${rule.circleId}`] : rule.users.map(user => `user:${user}`);
+    return [`owner:${rule.owner}`, ...subjects]
+      .map(index => `${this.config.keyPrefix}proximity_rules:${index}`);
+  }
+
+  async saveProximityRule(rule) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping proximity rule storage');
+      return false;
+    }
+
+    const endTimer = this.startTimer('saveProximityRule');
+    try {
+      const multi = this.client.multi()
+        .set(`${this.config.keyPrefix}proximity_rule:${rule.id}`, JSON.stringify(rule));
+      this.getProximityIndexKeys(rule).forEach(indexKey => multi.sAdd(indexKey, rule.id));
+
+      await multi.exec();
+      return true;
+    } catch (error) {
+      console.error('Error storing proximity rule:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get the proximity rules owned by a user, or concerning a user or circle
+  async getProximityRules(indexType, indexId) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot retrieve proximity rules');
+      return [];
+    }
+
+    const endTimer = this.startTimer('getProximityRules');
+    try {
+      const ids = await this.client.sMembers(`${this.config.keyPrefix}proximity_rules:${indexType}:${indexId}`);
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const entries = await this.client.mGet(ids.map(id => `${this.config.keyPrefix}proximity_rule:${id}`));
+      return entries.filter(Boolean).map(entry => JSON.parse(entry));
+    } catch (error) {
+      console.error('Error retrieving proximity rules:', error);
+      return [];
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Delete a proximity rule, its indexes and its recorded states
+  async deleteProximityRule(rule) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot remove proximity rule');
+      return false;
+    }
+
+    const endTimer = this.startTimer('deleteProximityRule');
+    try {
+      const multi = this.client.multi()
+        .del(`${this.config.keyPrefix}proximity_rule:${rule.id}`)
+        .del(`${this.config.keyPrefix}proximity_state:${rule.id}`);
+      this.getProximityIndexKeys(rule).forEach(indexKey => multi.sRem(indexKey, rule.id));
+
+      await multi.exec();
+      return true;
+    } catch (error) {
+      console.error('Error removing proximity rule:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get the last near/far state of each pair of users a rule has seen
+  async getProximityStates(ruleId) {
+    if (!this.isConnected) {
+      return {};
+    }
+
+    const endTimer = this.startTimer('getProximityStates');
+    try {
+      return await this.client.hGetAll(`${this.config.keyPrefix}proximity_state:${ruleId}`);
+    } catch (error) {
+      console.error('Error retrieving proximity states:', error);
+      return {};
+    } finally {
+      endTimer();
+    }
+  }
+
+  async setProximityState(ruleId, pairKey, state) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    const endTimer = this.startTimer('setProximityState');
+    try {
+      await this.client.hSet(`${this.config.keyPrefix}proximity_state:${ruleId}`, pairKey, state);
+      return true;
+    } catch (error) {
+      console.error('Error storing proximity state:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get a user's sharing preferences and access grants. Users without stored
+  // settings get the defaults; null means Redis cannot answer right now.
+  async getSharingSettings(username) {
+    if (!this.isConnected) {
+      return this.memoryOnly ? this.defaultSharingSettings() : null;
+    }
+
+    const endTimer = this.startTimer('getSharingSettings');
+    try {
+      const [preferences, grants, precision] = await this.client.multi()
+        .hGetAll(`${this.config.keyPrefix}sharing:${username}`)
+        .hGetAll(`${this.config.keyPrefix}sharing_grants:${username}`)
+        .hGetAll(`${this.config.keyPrefix}sharing_precision:${username}`)
+        .execAsPipeline();
+
+      const parsedGrants = {};
+      Object.entries(grants).forEach(([viewer, grant]) => {
+        parsedGrants[viewer] = JSON.parse(grant);
+      });
+
+      // Precision fields are `user:{name}` and `circle:{id}`
+      const parsedPrecision = { users: {}, circles: {} };
+      Object.entries(precision).forEach(([field, level]) => {
+        const separator = field.indexOf(':');
+        const scope = field.slice(0, separator) === 'circle' ? 'circles' : 'users';
+        parsedPrecision[scope][field.slice(separator + 1)] = level;
+      });
+
+      return {
+        ghost: preferences.ghost === 'true',
+        visibility: preferences.visibility || 'circles',
+        grants: parsedGrants,
+        precision: parsedPrecision
+      };
+    } catch (error) {
+      console.error('Error retrieving sharing settings:', error);
+      return null;
+    } finally {
+      endTimer();
+    }
+  }
+
+  defaultSharingSettings() {
+    return { ghost: false, visibility: 'circles', grants: {}, precision: { users: {}, circles: {} } };
+  }
+
+  // Store a user's ghost mode and visibility preferences
+  async saveSharingPreferences(username, preferences) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping sharing settings storage');
+      return false;
+    }
+
+    const endTimer = this.startTimer('saveSharingPreferences');
+    try {
+      await this.client.hSet(`${this.config.keyPrefix}sharing:${username}`, {
+        ghost: String(preferences.ghost),
+        visibility: preferences.visibility
+      });
+      return true;
+    } catch (error) {
+      console.error('Error storing sharing settings:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Set the precision a viewer (target `user:{name}`) or the members of a
+  // circle (target `circle:{id}`) see a user's location with. Viewer targets
+  // are indexed by viewer, so erasing the viewer can find them.
+  async setSharingPrecision(username, target, level) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping sharing precision storage');
+      return false;
+    }
+
+    const endTimer = this.startTimer('setSharingPrecision');
+    try {
+      const multi = this.client.multi()
+        .hSet(`${this.config.keyPrefix}sharing_precision:${username}`, target, level);
+      if (target.startsWith('user:')) {
+        multi.sAdd(`${this.config.keyPrefix}precision_for:${target.slice('user:'.length)}`, username);
+      }
+      await multi.exec();
+      return true;
+    } catch (error) {
+      console.error('Error storing sharing precision:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  async removeSharingPrecision(username, target) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot remove sharing precision');
+      return false;
+    }
+
+    const endTimer = this.startTimer('removeSharingPrecision');
+    try {
+      const multi = this.client.multi()
+        .hDel(`${this.config.keyPrefix}sharing_precision:${username}`, target);
+      if (target.startsWith('user:')) {
+        multi.sRem(`${this.config.keyPrefix}precision_for:${target.slice('user:'.length)}`, username);
+      }
+      await multi.exec();
+      return true;
+    } catch (error) {
+      console.error('Error removing sharing precision:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Allow a viewer to see a user's location, indexed by viewer for lookups
+  async addSharingGrant(username, viewer, grant) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping sharing grant storage');
+      return false;
+    }
+
+    const endTimer = this.startTimer('addSharingGrant');
+    try {
+      await this.client.multi()
+        .hSet(`${this.config.keyPrefix}sharing_grants:${username}`, viewer, JSON.stringify(grant))
+        .sAdd(`${this.config.keyPrefix}shared_with:${viewer}`, username)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error('Error storing sharing grant:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  async removeSharingGrant(username, viewer) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot remove sharing grant');
+      return false;
+    }
+
+    const endTimer = this.startTimer('removeSharingGrant');
+    try {
+      await this.client.multi()
+        .hDel(`${this.config.keyPrefix}sharing_grants:${username}`, viewer)
+        .sRem(`${this.config.keyPrefix}shared_with:${viewer}`, username)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error('Error removing sharing grant:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get the users that granted a viewer access to their location
+  async getSharingGrantors(viewer) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    const endTimer = this.startTimer('getSharingGrantors');
+    try {
+      return await this.client.sMembers(`${this.config.keyPrefix}shared_with:${viewer}`);
+    } catch (error) {
+      console.error('Error retrieving sharing grantors:', error);
+      return [];
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get the users that set a precision for a viewer
+  async getPrecisionSetters(viewer) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    const endTimer = this.startTimer('getPrecisionSetters');
+    try {
+      return await this.client.sMembers(`${this.config.keyPrefix}precision_for:${viewer}`);
+    } catch (error) {
+      console.error('Error retrieving precision setters:', error);
+      return [];
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Store a public share link that expires on its own
+  async createShareLink(link) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping share link storage');
+      return false;
+    }
+
+    const endTimer = this.startTimer('createShareLink');
+    try {
+      const linkKey = `${this.config.keyPrefix}share_link:${link.token}`;
+      const expiresAtSeconds = Math.ceil(new Date(link.expiresAt).getTime() / 1000);
+
+      await this.client.multi()
+        .hSet(linkKey, link)
+        .expireAt(linkKey, expiresAtSeconds)
+        .sAdd(`${this.config.keyPrefix}share_links:${link.username}`, link.token)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error('Error storing share link:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  async getShareLink(token) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    const endTimer = this.startTimer('getShareLink');
+    try {
+      const link = await this.client.hGetAll(`${this.config.keyPrefix}share_link:${token}`);
+      return link && link.token ? link : null;
+    } catch (error) {
+      console.error('Error retrieving share link:', error);
+      return null;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get a user's share links, dropping expired ones from the index
+  async getUserShareLinks(username) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    const endTimer = this.startTimer('getUserShareLinks');
+    try {
+      const indexKey = `${this.config.keyPrefix}share_links:${username}`;
+      const tokens = await this.client.sMembers(indexKey);
+      if (tokens.length === 0) {
+        return [];
+      }
+
+      const pipeline = this.client.multi();
+      tokens.forEach(token => pipeline.hGetAll(`${this.config.keyPrefix}share_link:${token}`));
+      const links = await pipeline.execAsPipeline();
+
+      const expired = tokens.filter((token, index) => !links[index].token);
+      if (expired.length > 0) {
+        await this.client.sRem(indexKey, expired);
+      }
+
+      return links.filter(link => link.token);
+    } catch (error) {
+      console.error('Error retrieving share links:', error);
+      return [];
+    } finally {
+      endTimer();
+    }
+  }
+
+  async revokeShareLink(link) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot revoke share link');
+      return false;
+    }
+
+    const endTimer = this.startTimer('revokeShareLink');
+    try {
+      await this.client.multi()
+        .del(`${this.config.keyPrefix}share_link:${link.token}`)
+        .sRem(`${this.config.keyPrefix}share_links:${link.username}`, link.token)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Subscribe to events published by other server instances
+  async subscribeToEvents(handler) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot subscribe to events');
+      return false;
+    }
+
+    try {
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on('error', (err) => {
+        console.error('Redis Subscriber Error:', err);
+      });
+
+      await this.subscriber.connect();
+      await this.subscriber.subscribe(this.config.eventsChannel, (message) => {
+        try {
+          handler(JSON.parse(message));
+        } catch (error) {
+          console.error('Error handling published event:', error);
+        }
+      });
+
+      console.log(`📡 Subscribed to ${this.config.eventsChannel}`);
+      return true;
+    } catch (error) {
+      console.error('Error subscribing to events:', error);
+      return false;
+    }
+  }
+
+  // Publish an event to all server instances
+  async publishEvent(event) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    const endTimer = this.startTimer('publishEvent');
+    try {
+      await this.client.publish(this.config.eventsChannel, JSON.stringify(event));
+      return true;
+    } catch (error) {
+      console.error('Error publishing event:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Persist a user's presence status and last-seen time
+  async setUserPresence(username, status, lastSeen) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    const endTimer = this.startTimer('setUserPresence');
+    try {
+      const userKey = `${this.config.keyPrefix}user:${username}`;
+      await this.client.multi()
+        .hSet(userKey, { status, lastSeen })
+        .expire(userKey, this.config.userTTL)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error('Error storing user presence:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Clear a user's online marker if it is still owned by this server instance
+  async setUserOffline(username, serverId) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    const endTimer = this.startTimer('setUserOffline');
+    try {
+      // Compare-and-delete so a newer connection on another instance is kept
+      await this.client.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        { keys: [`${this.config.keyPrefix}online:${username}`], arguments: [serverId] }
+      );
+      return true;
+    } catch (error) {
+      console.error('Error marking user offline:', error);
+      return false;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get which of the given users are connected to any server instance
+  async getOnlineUsers(usernames) {
+    if (!this.isConnected || usernames.length === 0) {
+      return new Set();
+    }
+
+    const endTimer = this.startTimer('getOnlineUsers');
+    try {
+      const keys = usernames.map(username => `${this.config.keyPrefix}online:${username}`);
+      const markers = await this.client.mGet(keys);
+      return new Set(usernames.filter((username, index) => markers[index] !== null));
+    } catch (error) {
+      console.error('Error retrieving online users:', error);
+      return new Set();
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Get Redis connection status
+  getConnectionStatus() {
+    return {
+      connected: this.isConnected,
+      host: this.redisHost,
+      port: this.redisPort
+    };
+  }
+
+  // Clean up old entries (can be called periodically)
+  async cleanupOldEntries() {
+    if (!this.isConnected) {
+      return;
+    }
+
+    const endTimer = this.startTimer('cleanupOldEntries');
+    try {
+      const indexKey = `${this.config.keyPrefix}users`;
+      const now = Date.now();
+      const cutoffTime = now - (this.config.locationTTL * 1000);
+
+      // Users without updates within the TTL have no location data left
+      const expired = await this.client.zRangeByScore(indexKey, 0, cutoffTime);
+      if (expired.length > 0) {
+        await this.client.multi()
+          .zRem(indexKey, expired)
+          .zRem(`${this.config.keyPrefix}geo`, expired)
+          .exec();
+      }
+
+      // Only users updated since the cutoff can hold entries older than it
+      const usernames = await this.client.zRangeByScore(indexKey, cutoffTime, '+inf');
+      if (usernames.length > 0) {
+        const pipeline = this.client.multi();
+        usernames.forEach(username => {
+          // Remove entries older than TTL
+          pipeline.zRemRangeByScore(`${this.config.keyPrefix}locations:${username}`, 0, cutoffTime);
+          pipeline.zRemRangeByScore(`${this.config.keyPrefix}timeline:${username}`, 0, cutoffTime);
+        });
+        await pipeline.execAsPipeline();
       }
       
       console.log(`🧹 Cleaned up old location entries`);
     } catch (error) {
       console.error('Error cleaning up old entries:', error);
+    } finally {
+      endTimer();
     }
   }
 }
@@ -1,24 +1,117 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const uWS = require('uWebSockets.js');
+const { v4: uuidv4 } = require('uuid');
 const RedisService = require('./redis-service');
+const TokenAuth = require('./token-auth');
+const {
+  haversineDistance,
+  isInsideGeofence,
+  isValidCoordinate,
+  isInsideBounds,
+  isValidBounds,
+  getBoundsAround,
+  expandBounds,
+  simplifyTrack
+} = require('./geo-utils');
+const { EXPORT_FORMATS } = require('./export-formats');
+const { advanceTimeline, formatSegment } = require('./timeline');
+const {
+  MAX_COARSENING_ERROR,
+  isPrecisionLevel,
+  mostPrecise,
+  coarsenLocation,
+  coarsenSegment
+} = require('./precision');
+const SpatialIndex = require('./spatial-index');
+const EventLog = require('./event-log');
+const { registry, Counter, Gauge, Histogram } = require('./metrics');
+const {
+  ENCODINGS,
+  DEFAULT_ENCODING,
+  isEncoding,
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  PROTOCOL_FEATURES,
+  negotiateEncoding,
+  decodeMessage
+} = require('./wire-protocol');
+const { isValidRequestId, isKnownMessageType, validateMessage } = require('./message-schemas');
+const { ConfigError, loadConfig, redactConfig, diffConfig, setPath } = require('./config');
+
+// Optional readings a location update may carry, with their accepted ranges
+const OPTIONAL_LOCATION_FIELDS = {
+  accuracy: { min: 0, max: 100000, unit: 'meters' },
+  speed: { min: 0, max: 1000, unit: 'meters per second' },
+  heading: { min: 0, max: 360, unit: 'degrees clockwise from true north' },
+  altitude: { min: -1000, max: 100000, unit: 'meters above sea level' },
+  battery: { min: 0, max: 100, unit: 'percent' }
+};
+
+const ACTIVITY_TYPES = ['still', 'walking', 'running', 'cycling', 'driving', 'unknown'];
+
+const ANNOUNCEMENT_LEVELS = ['info', 'warning', 'critical'];
 
 class LocationServer {
-  constructor(port = 8083) {
-    this.port = port;
+  constructor(settings = loadConfig()) {
+    this.settings = settings; // effective configuration (see config.js)
+    this.port = settings.port;
     this.users = new Map(); // username -> user data (in-memory cache)
     this.connections = new Map(); // username -> websocket connection
+    this.circles = new Map(); // circleId -> circle data with members Set (cache)
+    this.userCircles = new Map(); // username -> Set of circleIds (cache)
+    this.geofences = new Map(); // `${ownerType}:${ownerId}` -> Map of geofenceId -> geofence (cache)
+    this.geofenceStates = new Map(); // username -> Map of geofenceId -> 'inside' | 'outside'
+    this.proximityRules = new Map(); // `${indexType}:${indexId}` -> Map of ruleId -> rule (cache)
+    this.proximityStates = new Map(); // ruleId -> Map of user pair -> 'near' | 'far' | 'normal'
+    this.sharingSettings = new Map(); // username -> { ghost, visibility, grants, precision } (cache)
+    this.shareLinks = new Map(); // username -> Map of token -> share link (cache)
+    this.shareViewers = new Map(); // share link token -> Set of read-only viewer sockets
+    this.timelines = new Map(); // username -> trip/stay segmentation state for users active here
+    this.encodedMessages = new WeakMap(); // message -> { json, msgpack } frames already encoded
+    this.positions = new SpatialIndex(); // username -> latest location seen by this instance
     this.userRateLimit = new Map(); // username -> last update timestamp
+    this.batchRateLimit = new Map(); // username -> last location batch timestamp
+    this.presence = new Map(); // username -> { status, lastSeen } for users active on this instance
+    this.requestContext = new AsyncLocalStorage(); // { ws, requestId } of the message being handled
+    this.sessions = new Map(); // session token -> { username, closedAt } for resumable connections
+    this.erasing = new Set(); // usernames whose data is being erased; their updates are refused
+    this.bans = new Map(); // `username:${name}` or `ip:${address}` -> ban (cache)
     this.serverId = `server-${Math.random().toString(36).substr(2, 9)}`;
     
     // Initialize Redis service
-    this.redis = new RedisService();
-    
-    // Configuration
-    this.config = {
-      maxUsers: 100,
-      locationUpdateInterval: 2000, // minimum 2 seconds between updates
-      userTimeout: 30000, // 30 seconds timeout for stale data
-      maxNameLength: 50
+    this.redis = new RedisService(settings.redis);
+
+    // Token authentication for WebSocket handshakes
+    this.auth = new TokenAuth(settings.auth.secret);
+
+    // Prometheus metrics served on /metrics
+    this.metrics = {
+      connections: new Gauge('location_share_connections', 'Open WebSocket connections by role', gauge => {
+        let viewers = 0;
+        this.shareViewers.forEach(sockets => {
+          viewers += sockets.size;
+        });
+        gauge.set({ role: 'user' }, this.connections.size);
+        gauge.set({ role: 'viewer' }, viewers);
+      }),
+      messagesReceived: new Counter('location_share_messages_received_total', 'Messages received by type'),
+      messagesSent: new Counter('location_share_messages_sent_total', 'Messages sent by type'),
+      errors: new Counter('location_share_errors_total', 'Error messages sent by code'),
+      rateLimitRejections: new Counter('location_share_rate_limit_rejections_total', 'Location updates rejected by the rate limit'),
+      fanout: new Histogram('location_share_broadcast_fanout', 'Recipients per broadcast by message type',
+        [0, 1, 2, 5, 10, 25, 50, 100, 250]),
+      backpressureDrops: new Counter('location_share_backpressure_drops_total',
+        'Messages dropped because a socket exceeded its backpressure limit'),
+      cleanupDuration: new Histogram('location_share_cleanup_duration_seconds', 'Duration of the periodic cleanup',
+        [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10])
     };
+    
+    // Limits and timings, shared with this.settings so reloads apply in place
+    this.config = settings.server;
+
+    // Broadcast events numbered for replay after a reconnect
+    this.eventLog = new EventLog(this.config.eventLogSize);
 
     this.app = uWS.App({
       compression: uWS.SHARED_COMPRESSOR,
@@ -28,22 +121,19 @@ class LocationServer {
 
     this.setupRoutes();
     this.startCleanupTimer();
+    this.startPresenceTimer();
     this.initializeRedis();
   }
 
   async initializeRedis() {
-    console.log('🔄 Initializing Redis connection...');
-    
-    // Set default Redis connection for Docker if not specified
-    if (!process.env.REDIS_HOST) {
-      process.env.REDIS_HOST = 'localhost';
-      process.env.REDIS_PORT = '6384';
-      console.log('📡 Using default Redis connection: localhost:6384');
-    }
+    console.log(`🔄 Initializing Redis connection to ${this.settings.redis.host}:${this.settings.redis.port}...`);
     
     const connected = await this.redis.connect();
     if (connected) {
       console.log('✅ Redis initialized successfully');
+      // Relay events published by other server instances to local sockets
+      await this.redis.subscribeToEvents(event => this.handleClusterEvent(event));
+      await this.loadBans();
       // Note: We don't load users from Redis on startup to avoid treating
       // historical users as connected. Users will be loaded on-demand when needed.
     } else {
@@ -57,10 +147,71 @@ class LocationServer {
       compression: uWS.OPCODE_BINARY,
       maxCompressedSize: 64 * 1024,
       maxBackpressure: 64 * 1024,
+
+      upgrade: (res, req, context) => {
+        // JSON unless the client asks for a binary encoding
+        const negotiated = negotiateEncoding(req.getQuery('encoding'), req.getHeader('sec-websocket-protocol'));
+        if (!negotiated.valid) {
+          console.warn(`Rejected WebSocket handshake: ${negotiated.message}`);
+          res.writeStatus('400 Bad Request').writeHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ error: { code: negotiated.code, message: negotiated.message, details: negotiated.details } }));
+          return;
+        }
+
+        const remoteAddress = this.getRemoteAddress(res, req);
+        if (this.isBanned('ip', remoteAddress)) {
+          console.warn(`Rejected WebSocket handshake from banned address ${remoteAddress}`);
+          return this.sendHttpError(res, '403 Forbidden', 'BANNED', 'This address is banned');
+        }
+
+        const token = TokenAuth.extractToken(req.getHeader('authorization'), req.getQuery('token'));
+
+        // Anonymous read-only viewers connect with a share link instead
+        const shareToken = req.getQuery('share');
+        if (!token && shareToken) {
+          return this.upgradeShareViewer(res, req, context, shareToken, negotiated, remoteAddress);
+        }
+
+        // Verify the signed token before accepting the connection so that
+        // every socket is bound to an authenticated identity
+        const result = this.auth.verify(token);
+
+        if (!result.valid) {
+          console.warn(`Rejected WebSocket handshake: ${result.message}`);
+          res.writeStatus('401 Unauthorized').writeHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ error: { code: result.code, message: result.message } }));
+          return;
+        }
+
+        if (this.isBanned('username', result.username)) {
+          console.warn(`Rejected WebSocket handshake for banned user ${result.username}`);
+          return this.sendHttpError(res, '403 Forbidden', 'BANNED', 'This user is banned');
+        }
+
+        res.upgrade(
+          { username: result.username, encoding: negotiated.encoding, remoteAddress },
+          req.getHeader('sec-websocket-key'),
+          negotiated.protocol,
+          req.getHeader('sec-websocket-extensions'),
+          context
+        );
+      },
       
       open: (ws) => {
-        console.log('New WebSocket connection opened');
-        ws.username = null; // Will be set when user sends location_update
+        if (ws.getUserData().role === 'viewer') {
+          return this.openShareViewer(ws);
+        }
+
+        // Identity and encoding settled during the upgrade handshake
+        ws.username = ws.getUserData().username;
+        ws.encoding = ws.getUserData().encoding;
+        this.trackConnection(ws);
+        this.connections.set(ws.username, ws);
+        console.log(`New WebSocket connection opened for ${ws.username}`);
+
+        // Events up to this sequence number were sent before the socket opened
+        ws.sessionToken = this.createSession(ws.username);
+        ws.openedSeq = this.eventLog.lastSeq;
         
         // Send connection acknowledgment
         this.sendMessage(ws, {
@@ -68,32 +219,72 @@ class LocationServer {
           data: {
             message: 'Successfully connected to location sharing service',
             serverId: this.serverId,
+            encoding: ws.encoding,
+            sessionToken: ws.sessionToken,
+            seq: ws.openedSeq,
             timestamp: new Date().toISOString()
           }
         });
 
-        // Send current users list
-        this.sendUsersList(ws);
+        // Send current users list once the user's circles are known
+        this.loadUserCircles(ws.username)
+          .then(() => this.sendUsersList(ws))
+          .catch(error => console.error('Error loading user circles:', error));
       },
 
-      message: (ws, message, opCode) => {
+      message: (ws, message, isBinary) => {
+        ws.messagesReceived++;
+
+        if (ws.role === 'viewer') {
+          return this.sendError(ws, 'READ_ONLY_VIEWER', 'Share link viewers cannot send messages');
+        }
+
+        let data;
         try {
-          const data = JSON.parse(Buffer.from(message).toString());
-          this.handleMessage(ws, data);
+          data = decodeMessage(message, isBinary);
         } catch (error) {
+          if (isBinary) {
+            console.error('Invalid MessagePack received:', error.message);
+            return this.sendError(ws, 'INVALID_MESSAGE', 'Invalid MessagePack format', error.message);
+          }
           console.error('Invalid JSON received:', error.message);
-          this.sendError(ws, 'INVALID_JSON', 'Invalid JSON format', error.message);
+          return this.sendError(ws, 'INVALID_JSON', 'Invalid JSON format', error.message);
+        }
+
+        try {
+          this.handleMessage(ws, data);
+        } catch (error) {
+          console.error('Error handling message:', error);
+          this.sendError(ws, 'INVALID_MESSAGE', 'Failed to process message', error.message);
         }
       },
 
       close: (ws) => {
         console.log('WebSocket connection closed');
-        if (ws.username) {
+        if (ws.role === 'viewer') {
+          return this.closeShareViewer(ws);
+        }
+
+        // The session stays resumable for a while after the socket closed
+        const session = this.sessions.get(ws.sessionToken);
+        if (session) {
+          session.closedAt = Date.now();
+        }
+
+        // Ignore sockets that were superseded by a newer connection for the same user
+        if (ws.username && this.connections.get(ws.username) === ws) {
+          this.connections.delete(ws.username);
           this.handleUserDisconnect(ws.username);
         }
       }
     });
 
+    // Prometheus metrics in the text exposition format
+    this.app.get('/metrics', (res) => {
+      res.writeStatus('200 OK').writeHeader('Content-Type', 'text/plain; version=0.0.4');
+      res.end(registry.render());
+    });
+
     // Health check endpoint
     this.app.get('/health', (res) => {
       res.writeStatus('200 OK').writeHeader('Content-Type', 'application/json');
@@ -105,255 +296,3538 @@ class LocationServer {
         timestamp: new Date().toISOString()
       }));
     });
+
+    // Current location behind a public share link
+    this.app.get('/share/:token', (res, req) => {
+      const token = this.decodePathParameter(req.getParameter(0));
+      if (token === null) {
+        return this.sendHttpError(res, '400 Bad Request', 'INVALID_PATH', 'Malformed percent-encoding in the URL path');
+      }
+
+      this.handleHttpRequest(res, { valid: true }, () => this.handleShareSnapshot(res, token));
+    });
+
+    // Admin API, restricted to the usernames listed in auth.adminUsers
+    this.app.get('/admin/config', (res, req) => {
+      const identity = this.authenticateAdminRequest(req);
+
+      this.handleHttpRequest(res, identity, () => {
+        this.sendJson(res, '200 OK', { config: redactConfig(this.settings) });
+      });
+    });
+
+    this.app.get('/admin/connections', (res, req) => {
+      const identity = this.authenticateAdminRequest(req);
+
+      this.handleHttpRequest(res, identity, () => {
+        this.sendJson(res, '200 OK', { serverId: this.serverId, connections: this.listConnections() });
+      });
+    });
+
+    this.app.post('/admin/disconnect', (res, req) => {
+      // The body has to be read synchronously, like other request data
+      const body = this.readJsonBody(res);
+      const identity = this.authenticateAdminRequest(req);
+
+      this.handleHttpRequest(res, identity, async () => this.handleAdminDisconnect(res, identity.username, await body));
+    });
+
+    this.app.get('/admin/bans', (res, req) => {
+      const identity = this.authenticateAdminRequest(req);
+
+      this.handleHttpRequest(res, identity, () => {
+        this.sendJson(res, '200 OK', { bans: this.getActiveBans() });
+      });
+    });
+
+    this.app.post('/admin/bans', (res, req) => {
+      const body = this.readJsonBody(res);
+      const identity = this.authenticateAdminRequest(req);
+
+      this.handleHttpRequest(res, identity, async () => this.handleAdminBan(res, identity.username, await body));
+    });
+
+    this.app.del('/admin/bans/:type/:value', (res, req) => {
+      const type = req.getParameter(0);
+      const value = this.decodePathParameter(req.getParameter(1));
+      if (value === null) {
+        return this.sendHttpError(res, '400 Bad Request', 'INVALID_PATH', 'Malformed percent-encoding in the URL path');
+      }
+      const identity = this.authenticateAdminRequest(req);
+
+      this.handleHttpRequest(res, identity, () => this.handleAdminUnban(res, identity.username, type, value));
+    });
+
+    this.app.del('/admin/users/:name', (res, req) => {
+      const username = this.decodePathParameter(req.getParameter(0));
+      if (username === null) {
+        return this.sendHttpError(res, '400 Bad Request', 'INVALID_PATH', 'Malformed percent-encoding in the URL path');
+      }
+      const identity = this.authenticateAdminRequest(req);
+
+      this.handleHttpRequest(res, identity, () => this.handleAdminPurgeUser(res, identity.username, username));
+    });
+
+    this.app.post('/admin/announcements', (res, req) => {
+      const body = this.readJsonBody(res);
+      const identity = this.authenticateAdminRequest(req);
+
+      this.handleHttpRequest(res, identity, async () => this.handleAdminAnnouncement(res, identity.username, await body));
+    });
+
+    this.app.get('/admin/erasures', (res, req) => {
+      const identity = this.authenticateAdminRequest(req);
+
+      this.handleHttpRequest(res, identity, async () => {
+        this.sendJson(res, '200 OK', { erasures: await this.redis.getErasures() });
+      });
+    });
+
+    // Self-service export and erasure of the authenticated user's data
+    this.app.get('/me/export', (res, req) => {
+      const identity = this.authenticateHttpRequest(req);
+
+      this.handleHttpRequest(res, identity, () => this.handleDataExportHttpRequest(res, identity.username));
+    });
+
+    this.app.del('/me', (res, req) => {
+      const query = new URLSearchParams(req.getQuery() || '');
+      const identity = this.authenticateHttpRequest(req);
+
+      this.handleHttpRequest(res, identity, () => this.handleEraseHttpRequest(res, identity.username, query));
+    });
+
+    // Read-only REST API
+    this.app.get('/nearby', (res, req) => {
+      const query = new URLSearchParams(req.getQuery() || '');
+      const identity = this.authenticateHttpRequest(req);
+
+      this.handleHttpRequest(res, identity, async () => {
+        const numberParam = name => (query.has(name) ? Number(query.get(name)) : undefined);
+        const nearbyQuery = this.parseNearbyQuery({
+          latitude: numberParam('lat'),
+          longitude: numberParam('lon'),
+          radius: numberParam('radius'),
+          limit: numberParam('limit'),
+          includeOffline: query.get('includeOffline') === 'true'
+        });
+        if (!nearbyQuery.valid) {
+          return this.sendHttpError(res, '400 Bad Request', nearbyQuery.code, nearbyQuery.message, nearbyQuery.details);
+        }
+
+        this.sendJson(res, '200 OK', await this.findNearbyUsers(identity.username, nearbyQuery));
+      });
+    });
+
+    this.app.get('/users', (res, req) => {
+      const identity = this.authenticateHttpRequest(req);
+
+      this.handleHttpRequest(res, identity, async () => {
+        const users = await this.getVisibleUsers(identity.username);
+        this.sendJson(res, '200 OK', { users });
+      });
+    });
+
+    this.app.get('/users/:name', (res, req) => {
+      const username = this.decodePathParameter(req.getParameter(0));
+      if (username === null) {
+        return this.sendHttpError(res, '400 Bad Request', 'INVALID_PATH', 'Malformed percent-encoding in the URL path');
+      }
+      const identity = this.authenticateHttpRequest(req);
+
+      this.handleHttpRequest(res, identity, () => this.handleUserRequest(res, identity.username, username));
+    });
+
+    this.app.get('/users/:name/timeline', (res, req) => {
+      const username = this.decodePathParameter(req.getParameter(0));
+      if (username === null) {
+        return this.sendHttpError(res, '400 Bad Request', 'INVALID_PATH', 'Malformed percent-encoding in the URL path');
+      }
+      const query = new URLSearchParams(req.getQuery() || '');
+      const identity = this.authenticateHttpRequest(req);
+
+      this.handleHttpRequest(res, identity, () => this.handleTimelineHttpRequest(res, identity.username, username, query));
+    });
+
+    this.app.get('/users/:name/history', (res, req) => {
+      const username = this.decodePathParameter(req.getParameter(0));
+      if (username === null) {
+        return this.sendHttpError(res, '400 Bad Request', 'INVALID_PATH', 'Malformed percent-encoding in the URL path');
+      }
+      const query = new URLSearchParams(req.getQuery() || '');
+      const identity = this.authenticateHttpRequest(req);
+
+      this.handleHttpRequest(res, identity, () => this.handleHistoryHttpRequest(res, identity.username, username, query));
+    });
+
+    // Location history export (GPX, GeoJSON or KML)
+    this.app.get('/users/:name/:file', (res, req) => {
+      // Request data is only accessible synchronously, before any await
+      const username = this.decodePathParameter(req.getParameter(0));
+      if (username === null) {
+        return this.sendHttpError(res, '400 Bad Request', 'INVALID_PATH', 'Malformed percent-encoding in the URL path');
+      }
+      const file = req.getParameter(1);
+      const query = new URLSearchParams(req.getQuery() || '');
+      const identity = this.authenticateHttpRequest(req);
+
+      this.handleHttpRequest(res, identity, () => this.handleHistoryExport(res, identity.username, username, file, query));
+    });
   }
 
-  handleMessage(ws, message) {
-    if (!message.type || !message.data) {
-      return this.sendError(ws, 'INVALID_MESSAGE', 'Message must have type and data fields');
+  // Percent-decode a path parameter; null when the encoding is malformed
+  decodePathParameter(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return null;
     }
+  }
 
-    switch (message.type) {
-      case 'location_update':
-        this.handleLocationUpdate(ws, message.data).catch(error => {
-          console.error('Error handling location update:', error);
-          this.sendError(ws, 'LOCATION_UPDATE_ERROR', 'Failed to process location update', error.message);
-        });
-        break;
-      
-      case 'user_disconnect':
-        this.handleUserDisconnectRequest(ws, message.data);
-        break;
-      
-      case 'get_users':
-        this.sendUsersList(ws).catch(error => {
-          console.error('Error sending users list:', error);
-          this.sendError(ws, 'USERS_LIST_ERROR', 'Failed to retrieve users list', error.message);
-        });
-        break;
-      
-      case 'get_location_history':
-        this.handleLocationHistoryRequest(ws, message.data).catch(error => {
-          console.error('Error handling location history request:', error);
-          this.sendError(ws, 'HISTORY_REQUEST_ERROR', 'Failed to process location history request', error.message);
-        });
-        break;
-      
-      default:
-        this.sendError(ws, 'UNKNOWN_MESSAGE_TYPE', `Unknown message type: ${message.type}`);
+  // Verify the token of an HTTP request the same way as WebSocket handshakes
+  authenticateHttpRequest(req) {
+    const token = TokenAuth.extractToken(req.getHeader('authorization'), req.getQuery('token'));
+    const identity = this.auth.verify(token);
+    if (identity.valid && this.isBanned('username', identity.username)) {
+      return { valid: false, status: '403 Forbidden', code: 'BANNED', message: 'This user is banned' };
+    }
+    return identity;
+  }
+
+  authenticateAdminRequest(req) {
+    const identity = this.authenticateHttpRequest(req);
+    if (identity.valid && !this.settings.auth.adminUsers.includes(identity.username)) {
+      return { valid: false, status: '403 Forbidden', code: 'ADMIN_REQUIRED', message: 'Admin privileges are required' };
+    }
+    return identity;
+  }
+
+  // Run an async HTTP handler for an authenticated request
+  handleHttpRequest(res, identity, handler) {
+    res.aborted = false;
+    res.onAborted(() => {
+      res.aborted = true;
+    });
+
+    if (!identity.valid) {
+      return this.sendHttpError(res, identity.status || '401 Unauthorized', identity.code, identity.message);
+    }
+
+    Promise.resolve()
+      .then(handler)
+      .catch(error => {
+        console.error('Error handling HTTP request:', error);
+        this.sendHttpError(res, '500 Internal Server Error', 'INTERNAL_ERROR', 'Failed to process request', error.message);
+      });
+  }
+
+  // Client address of a request; behind a reverse proxy (server.trustProxy)
+  // the last X-Forwarded-For entry, the one the proxy appended. Earlier
+  // entries come from the client and can be forged.
+  getRemoteAddress(res, req) {
+    const forwarded = this.config.trustProxy ? req.getHeader('x-forwarded-for').split(',').pop().trim() : '';
+    return forwarded || Buffer.from(res.getRemoteAddressAsText()).toString();
+  }
+
+  // Bookkeeping shown by the admin connections list
+  trackConnection(ws) {
+    ws.remoteAddress = ws.getUserData().remoteAddress;
+    ws.connectedAt = new Date().toISOString();
+    ws.messagesReceived = 0;
+    ws.messagesSent = 0;
+  }
+
+  // Every socket on this instance: users and share link viewers
+  getLocalSockets() {
+    const sockets = Array.from(this.connections.values());
+    this.shareViewers.forEach(viewers => sockets.push(...viewers));
+    return sockets;
+  }
+
+  listConnections() {
+    return this.getLocalSockets().map(ws => ({
+      ...(ws.role === 'viewer' ? { role: 'viewer', sharedUser: ws.sharedUser } : { role: 'user', username: ws.username }),
+      remoteAddress: ws.remoteAddress,
+      connectedAt: ws.connectedAt,
+      encoding: ws.encoding,
+      messagesReceived: ws.messagesReceived,
+      messagesSent: ws.messagesSent
+    }));
+  }
+
+  // Admin requests name a target by exactly one of username or ip
+  parseAdminTarget(data) {
+    const hasUsername = typeof data.username === 'string' && data.username.length > 0;
+    const hasIp = typeof data.ip === 'string' && data.ip.length > 0;
+    if (hasUsername === hasIp) {
+      return { valid: false, code: 'INVALID_TARGET', message: 'Specify either username or ip' };
+    }
+    return hasUsername
+      ? { valid: true, type: 'username', value: data.username }
+      : { valid: true, type: 'ip', value: data.ip };
+  }
+
+  // Close the local sockets of a user or an address and return how many
+  disconnectLocal(target, code, message, closeCode = 1000) {
+    const sockets = this.getLocalSockets().filter(ws =>
+      (target.type === 'username' ? ws.username : ws.remoteAddress) === target.value);
+
+    sockets.forEach(ws => {
+      this.sendError(ws, code, message);
+      ws.end(closeCode, message);
+    });
+    return sockets.length;
+  }
+
+  async handleAdminDisconnect(res, admin, body) {
+    if (!body.valid) {
+      return this.sendHttpError(res, '400 Bad Request', body.code, body.message, body.details);
+    }
+
+    const target = this.parseAdminTarget(body.data);
+    if (!target.valid) {
+      return this.sendHttpError(res, '400 Bad Request', target.code, target.message);
+    }
+
+    const disconnected = this.disconnectLocal(target, 'DISCONNECTED_BY_ADMIN', 'Disconnected by an administrator');
+    this.redis.publishEvent({ serverId: this.serverId, kind: 'admin_disconnect', target });
+
+    console.log(`🔨 ${admin} disconnected ${target.type} ${target.value}`);
+    this.sendJson(res, '200 OK', { [target.type]: target.value, disconnected });
+  }
+
+  async loadBans() {
+    const bans = await this.redis.getBans();
+    this.bans = new Map(bans.map(ban => [`${ban.type}:${ban.value}`, ban]));
+  }
+
+  isBanActive(ban) {
+    return !ban.expiresAt || new Date(ban.expiresAt).getTime() > Date.now();
+  }
+
+  isBanned(type, value) {
+    const ban = this.bans.get(`${type}:${value}`);
+    return Boolean(ban) && this.isBanActive(ban);
+  }
+
+  getActiveBans() {
+    return Array.from(this.bans.values()).filter(ban => this.isBanActive(ban));
+  }
+
+  async handleAdminBan(res, admin, body) {
+    if (!body.valid) {
+      return this.sendHttpError(res, '400 Bad Request', body.code, body.message, body.details);
+    }
+
+    const data = body.data;
+    const target = this.parseAdminTarget(data);
+    if (!target.valid) {
+      return this.sendHttpError(res, '400 Bad Request', target.code, target.message);
+    }
+
+    if (data.reason !== undefined && typeof data.reason !== 'string') {
+      return this.sendHttpError(res, '400 Bad Request', 'INVALID_BAN', 'reason must be a string');
+    }
+    if (data.durationMinutes !== undefined && (typeof data.durationMinutes !== 'number' || !(data.durationMinutes > 0))) {
+      return this.sendHttpError(res, '400 Bad Request', 'INVALID_BAN', 'durationMinutes must be a positive number');
+    }
+
+    const now = Date.now();
+    const ban = {
+      type: target.type,
+      value: target.value,
+      reason: data.reason || null,
+      createdBy: admin,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: data.durationMinutes ? new Date(now + data.durationMinutes * 60000).toISOString() : null
+    };
+
+    this.bans.set(`${ban.type}:${ban.value}`, ban);
+    await this.redis.saveBan(ban);
+    this.redis.publishEvent({ serverId: this.serverId, kind: 'bans_updated', target });
+
+    const disconnected = this.disconnectLocal(target, 'BANNED', 'You have been banned', 1008);
+
+    console.log(`🔨 ${admin} banned ${ban.type} ${ban.value} until ${ban.expiresAt || 'lifted'}`);
+    this.sendJson(res, '201 Created', { ban, disconnected });
+  }
+
+  async handleAdminUnban(res, admin, type, value) {
+    if (type !== 'username' && type !== 'ip') {
+      return this.sendHttpError(res, '400 Bad Request', 'INVALID_TARGET', 'Ban type must be username or ip');
+    }
+
+    const key = `${type}:${value}`;
+    if (!this.bans.has(key)) {
+      return this.sendHttpError(res, '404 Not Found', 'BAN_NOT_FOUND', `No ban for ${type} ${value}`);
+    }
+
+    this.bans.delete(key);
+    await this.redis.removeBan(type, value);
+    this.redis.publishEvent({ serverId: this.serverId, kind: 'bans_updated', target: null });
+
+    console.log(`🔨 ${admin} lifted the ban on ${type} ${value}`);
+    this.sendJson(res, '200 OK', { type, value, removed: true });
+  }
+
+  // Disconnect the user everywhere and delete their stored data
+  async handleAdminPurgeUser(res, admin, username) {
+    const peers = await this.getCirclePeers(username);
+
+    // Forget the user before their sockets close, so closing them does not
+    // write presence back after Redis is cleared
+    this.purgeLocal(username);
+    this.redis.publishEvent({ serverId: this.serverId, kind: 'user_purged', username });
+
+    const removed = await this.redis.removeUser(username);
+    if (!removed && !this.redis.memoryOnly) {
+      return this.sendHttpError(res, '503 Service Unavailable', 'PURGE_ERROR', 'Failed to purge user',
+        'Storage is unavailable, some data may remain; try again later');
+    }
+
+    console.log(`🗑️ ${admin} purged ${username}`);
+
+    this.dispatch(peers, {
+      type: 'user_removed',
+      data: { name: username, timestamp: new Date().toISOString() }
+    });
+    this.sendJson(res, '200 OK', { username, removed });
+  }
+
+  purgeLocal(username) {
+    this.forgetUser(username, []);
+    this.disconnectLocal({ type: 'username', value: username }, 'ACCOUNT_PURGED', 'Your data has been removed by an administrator');
+  }
+
+  async handleAdminAnnouncement(res, admin, body) {
+    if (!body.valid) {
+      return this.sendHttpError(res, '400 Bad Request', body.code, body.message, body.details);
+    }
+
+    const data = body.data;
+    if (typeof data.message !== 'string' || data.message.length === 0 ||
+        data.message.length > this.config.maxAnnouncementLength) {
+      return this.sendHttpError(res, '400 Bad Request', 'INVALID_ANNOUNCEMENT', 'Invalid announcement',
+        `message must be between 1 and ${this.config.maxAnnouncementLength} characters`);
+    }
+
+    const level = data.level === undefined ? 'info' : data.level;
+    if (!ANNOUNCEMENT_LEVELS.includes(level)) {
+      return this.sendHttpError(res, '400 Bad Request', 'INVALID_ANNOUNCEMENT', 'Invalid announcement level',
+        `level must be one of: ${ANNOUNCEMENT_LEVELS.join(', ')}`);
+    }
+
+    if (data.usernames !== undefined &&
+        (!Array.isArray(data.usernames) || data.usernames.length === 0 ||
+          !data.usernames.every(username => typeof username === 'string'))) {
+      return this.sendHttpError(res, '400 Bad Request', 'INVALID_ANNOUNCEMENT', 'usernames must be a non-empty list of strings');
+    }
+
+    const announcement = {
+      type: 'announcement',
+      data: {
+        message: data.message,
+        level,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    if (data.usernames) {
+      this.dispatch(data.usernames, announcement);
+    } else {
+      this.announceLocally(announcement);
+      this.redis.publishEvent({ serverId: this.serverId, kind: 'announcement', message: announcement });
+    }
+
+    console.log(`📢 ${admin} announced to ${data.usernames ? data.usernames.join(', ') : 'everyone'}: ${data.message}`);
+    this.sendJson(res, '200 OK', { announcement, recipients: data.usernames || 'all' });
+  }
+
+  // Send an announcement to every user connected to this instance
+  announceLocally(announcement) {
+    const message = this.eventLog.append(this.connections.keys(), announcement);
+    this.connections.forEach(ws => this.sendMessage(ws, message));
+  }
+
+  async handleExportData(ws) {
+    this.sendMessage(ws, {
+      type: 'data_export',
+      data: await this.buildDataExport(ws.username)
+    });
+  }
+
+  async handleDataExportHttpRequest(res, username) {
+    const archive = await this.buildDataExport(username);
+    const filename = `${username.replace(/[^\w.-]+/g, '_')}-data.json`;
+
+    if (res.aborted) {
+      return;
+    }
+
+    res.cork(() => {
+      res.writeStatus('200 OK')
+        .writeHeader('Content-Type', 'application/json')
+        .writeHeader('Content-Disposition', `attachment; filename="${filename}"`)
+        .end(JSON.stringify(archive, null, 2));
+    });
+  }
+
+  // Everything stored about a user, as one JSON document
+  async buildDataExport(username) {
+    const circles = [];
+    for (const circleId of await this.loadUserCircles(username)) {
+      const circle = await this.getCircle(circleId);
+      if (circle) {
+        circles.push(this.serializeCircle(circle));
+      }
+    }
+
+    const settings = await this.loadOwnSharingSettings(username);
+    const { segments, current } = await this.getTimeline(username, null, null, null);
+
+    return {
+      username,
+      exportedAt: new Date().toISOString(),
+      metadata: await this.redis.getUserMetadata(username),
+      history: await this.redis.getUserLocationHistory(username),
+      timeline: { segments, current },
+      circles,
+      geofences: Array.from((await this.loadGeofences('user', username)).values()),
+      geofenceStates: await this.redis.getGeofenceStates(username),
+      proximityRules: Array.from((await this.loadProximityRules('owner', username)).values()),
+      sharing: {
+        ...this.serializeSharingSettings(settings),
+        sharedWithMe: Array.from(await this.getSharingGrantors(username))
+      },
+      shareLinks: Array.from((await this.loadShareLinks(username)).values())
+    };
+  }
+
+  async handleEraseData(ws, data) {
+    if (data.confirm !== true) {
+      return this.sendError(ws, 'CONFIRMATION_REQUIRED', 'Erasure must be confirmed',
+        'Set confirm to true to permanently erase your data');
     }
+
+    const record = await this.eraseUserData(ws.username, 'websocket');
+
+    // The user is forgotten in memory either way, so the socket closes either way
+    if (!record.complete) {
+      this.sendError(ws, 'DATA_ERASURE_ERROR', 'Failed to erase data',
+        'Storage is unavailable, some data may remain; try again later');
+      return ws.end(1011, 'Your data could not be fully erased');
+    }
+
+    this.sendMessage(ws, {
+      type: 'data_erased',
+      data: { username: record.username, erasedAt: record.erasedAt }
+    });
+    ws.end(1000, 'Your data has been erased');
+  }
+
+  async handleEraseHttpRequest(res, username, query) {
+    if (query.get('confirm') !== 'true') {
+      return this.sendHttpError(res, '400 Bad Request', 'CONFIRMATION_REQUIRED', 'Erasure must be confirmed',
+        'Add confirm=true to permanently erase your data');
+    }
+
+    // Close the user's sockets first so they cannot write anything back
+    this.disconnectLocal({ type: 'username', value: username }, 'ACCOUNT_ERASED', 'Your data is being erased');
+    const record = await this.eraseUserData(username, 'http');
+
+    if (!record.complete) {
+      return this.sendHttpError(res, '503 Service Unavailable', 'DATA_ERASURE_ERROR', 'Failed to erase data',
+        'Storage is unavailable, some data may remain; try again later');
+    }
+    this.sendJson(res, '200 OK', { username: record.username, erasedAt: record.erasedAt });
+  }
+
+  // Permanently erase a user's data from Redis and every instance, tell
+  // their peers and audit the erasure. Sockets of the user on this instance
+  // are left to the caller; other instances disconnect theirs. The returned
+  // record is `complete` once Redis was erased and the audit record written,
+  // or when running without Redis.
+  async eraseUserData(username, via) {
+    // Location updates of the user are refused until the erasure is over
+    this.erasing.add(username);
+    try {
+      return await this.performErasure(username, via);
+    } finally {
+      this.erasing.delete(username);
+    }
+  }
+
+  async performErasure(username, via) {
+    const settings = await this.loadOwnSharingSettings(username);
+    const circleIds = Array.from(await this.loadUserCircles(username));
+    const shareLinks = Array.from((await this.loadShareLinks(username)).keys());
+    const rules = new Map([
+      ...(await this.loadProximityRules('owner', username)).values(),
+      ...(await this.loadProximityRules('user', username)).values()
+    ].map(rule => [rule.id, rule]));
+
+    // Everyone whose settings may mention the user or who may see them
+    const peers = new Set([
+      ...await this.getCirclePeers(username),
+      ...Object.keys(settings.grants),
+      ...Object.keys(settings.precision.users),
+      ...await this.getSharingGrantors(username),
+      ...await this.getPrecisionSetters(username)
+    ]);
+    peers.delete(username);
+
+    // Forget the user in memory first so nothing is written back after Redis is erased
+    this.forgetUser(username, shareLinks);
+
+    // Circles keep no trace of the user, as in RedisService.eraseUserFromCircle
+    for (const circleId of circleIds) {
+      const circle = await this.getCircle(circleId);
+      if (circle) {
+        circle.members.delete(username);
+        if (circle.members.size === 0) {
+          this.circles.delete(circleId);
+        } else if (circle.owner === username) {
+          circle.owner = Array.from(circle.members).sort()[0];
+        }
+      }
+
+      (await this.loadGeofences('circle', circleId)).forEach(geofence => {
+        if (geofence.createdBy === username) {
+          geofence.createdBy = null;
+        }
+      });
+      (await this.loadProximityRules('circle', circleId)).forEach(rule => this.forgetProximityPairs(rule.id, username));
+    }
+
+    for (const rule of rules.values()) {
+      for (const index of this.getProximityIndexes(rule)) {
+        const [indexType, indexId] = this.splitProximityIndex(index);
+        (await this.loadProximityRules(indexType, indexId)).delete(rule.id);
+      }
+      this.proximityStates.delete(rule.id);
+    }
+
+    peers.forEach(peer => {
+      const peerSettings = this.sharingSettings.get(peer);
+      if (peerSettings) {
+        delete peerSettings.grants[username];
+        delete peerSettings.precision.users[username];
+      }
+    });
+
+    const redisErased = await this.redis.eraseUser(username, Array.from(peers));
+
+    // Other instances reload what they cached from the erased state
+    this.redis.publishEvent({ serverId: this.serverId, kind: 'user_erased', username, circleIds, shareLinks });
+    rules.forEach(rule => this.publishProximityUpdate(rule));
+    peers.forEach(peer => this.publishSharingUpdate(peer));
+
+    const record = {
+      username,
+      erasedAt: new Date().toISOString(),
+      via,
+      serverId: this.serverId,
+      redisErased
+    };
+    const audited = await this.redis.recordErasure(record);
+
+    console.log(`🗑️ ${username} erased their data (via ${via})`);
+
+    this.dispatch(peers, {
+      type: 'user_removed',
+      data: { name: username, timestamp: record.erasedAt }
+    });
+
+    return { ...record, complete: this.redis.memoryOnly || (redisErased && audited) };
+  }
+
+  // Drop the recorded states of a rule's pairs that include a user
+  forgetProximityPairs(ruleId, username) {
+    const states = this.proximityStates.get(ruleId);
+    if (states) {
+      states.forEach((state, pairKey) => {
+        if (JSON.parse(pairKey).includes(username)) {
+          states.delete(pairKey);
+        }
+      });
+    }
+  }
+
+  // Drop every in-memory trace of a user on this instance and close the
+  // viewers of their share links
+  forgetUser(username, shareLinks) {
+    this.users.delete(username);
+    this.userRateLimit.delete(username);
+    this.batchRateLimit.delete(username);
+    this.geofenceStates.delete(username);
+    this.geofences.delete(`user:${username}`);
+    this.timelines.delete(username);
+    this.positions.remove(username);
+    this.presence.delete(username);
+    this.sharingSettings.delete(username);
+    this.userCircles.delete(username);
+    this.shareLinks.delete(username);
+    this.eventLog.forget(username);
+
+    this.sessions.forEach((session, token) => {
+      if (session.username === username) {
+        this.sessions.delete(token);
+      }
+    });
+
+    shareLinks.forEach(token => this.closeShareViewers(token, 'SHARE_LINK_REVOKED', 'Share link has been revoked'));
+  }
+
+  async handleShareSnapshot(res, token) {
+    const link = await this.getActiveShareLink(token);
+    if (!link) {
+      return this.sendHttpError(res, '404 Not Found', 'INVALID_SHARE_LINK', 'Share link is invalid or has expired');
+    }
+
+    const settings = await this.loadSharingSettings(link.username);
+    const users = settings.ghost ? [] : await this.getUsersWithStatus([link.username]);
+    if (users.length === 0) {
+      return this.sendHttpError(res, '404 Not Found', 'LOCATION_UNAVAILABLE', 'No location is currently shared');
+    }
+
+    this.sendJson(res, '200 OK', { user: users[0], expiresAt: link.expiresAt });
+  }
+
+  async handleUserRequest(res, viewer, username) {
+    const access = await this.getViewAccess(viewer, username);
+    if (!access) {
+      return this.sendHttpError(res, '403 Forbidden', 'UNAUTHORIZED_USER', 'Not allowed to view this user');
+    }
+
+    const users = await this.getUsersWithStatus([username]);
+    if (users.length === 0) {
+      return this.sendHttpError(res, '404 Not Found', 'USER_NOT_FOUND', `No location stored for ${username}`);
+    }
+
+    this.sendJson(res, '200 OK', { user: coarsenLocation(users[0], access.precision) });
+  }
+
+  async handleHistoryHttpRequest(res, viewer, username, query) {
+    const access = await this.getViewAccess(viewer, username);
+    if (!access) {
+      return this.sendHttpError(res, '403 Forbidden', 'UNAUTHORIZED_HISTORY', 'Not allowed to view history of this user');
+    }
+
+    const numberParam = name => (query.has(name) ? Number(query.get(name)) : undefined);
+    const historyQuery = this.parseHistoryQuery(access, {
+      startTime: query.get('from') || undefined,
+      endTime: query.get('to') || undefined,
+      limit: numberParam('limit'),
+      order: query.get('order') || undefined,
+      cursor: query.get('cursor') || undefined,
+      tolerance: numberParam('tolerance'),
+      maxPoints: numberParam('maxPoints')
+    });
+    if (!historyQuery.valid) {
+      return this.sendHttpError(res, '400 Bad Request', historyQuery.code, historyQuery.message, historyQuery.details);
+    }
+
+    this.sendJson(res, '200 OK', await this.getHistoryPage(access, username, historyQuery));
+  }
+
+  async handleTimelineHttpRequest(res, viewer, username, query) {
+    const access = await this.getViewAccess(viewer, username);
+    if (!access) {
+      return this.sendHttpError(res, '403 Forbidden', 'UNAUTHORIZED_HISTORY', 'Not allowed to view history of this user');
+    }
+
+    const range = this.parseHttpTimeRange(query);
+    if (!range.valid) {
+      return this.sendHttpError(res, '400 Bad Request', range.code, range.message, range.details);
+    }
+
+    const limit = query.has('limit') ? Number(query.get('limit')) : null;
+    if (limit !== null && !this.isValidHistoryLimit(limit)) {
+      return this.sendHttpError(res, '400 Bad Request', 'INVALID_LIMIT', 'Invalid limit',
+        `Limit must be an integer between 1 and ${this.config.maxHistoryLimit}`);
+    }
+
+    const { startTime, endTime } = this.limitHistoryRange(access, range.startTime, range.endTime);
+    this.sendJson(res, '200 OK', await this.getTimeline(username, startTime, endTime, limit, access.precision));
+  }
+
+  // Parse the optional from/to query parameters of an HTTP request
+  parseHttpTimeRange(query) {
+    return this.parseTimeRange(query.get('from'), query.get('to'), 'from and to');
+  }
+
+  // Parse an optional start and end timestamp; `names` names them in errors
+  parseTimeRange(start, end, names) {
+    const startTime = start ? new Date(start).getTime() : null;
+    const endTime = end ? new Date(end).getTime() : null;
+
+    if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+      return {
+        valid: false,
+        code: 'INVALID_TIME_RANGE',
+        message: 'Invalid time range',
+        details: `${names} must be valid timestamps`
+      };
+    }
+
+    return { valid: true, startTime, endTime };
+  }
+
+  async handleHistoryExport(res, viewer, username, file, query) {
+    const match = /^history\.(gpx|geojson|kml)$/.exec(file);
+    if (!match) {
+      return this.sendHttpError(res, '404 Not Found', 'NOT_FOUND', `Unknown resource: ${file}`,
+        'Supported exports are history.gpx, history.geojson and history.kml');
+    }
+
+    const access = await this.getViewAccess(viewer, username);
+    if (!access) {
+      return this.sendHttpError(res, '403 Forbidden', 'UNAUTHORIZED_HISTORY', 'Not allowed to view history of this user');
+    }
+
+    const range = this.parseHttpTimeRange(query);
+    if (!range.valid) {
+      return this.sendHttpError(res, '400 Bad Request', range.code, range.message, range.details);
+    }
+
+    // History is stored latest first; tracks run in chronological order
+    const { startTime, endTime } = this.limitHistoryRange(access, range.startTime, range.endTime);
+    const history = await this.redis.getUserLocationHistory(username, startTime, endTime);
+    const points = history.reverse().map(point => coarsenLocation(point, access.precision));
+
+    const format = EXPORT_FORMATS[match[1]];
+    const filename = `${username.replace(/[^\w.-]+/g, '_')}-history.${match[1]}`;
+
+    if (res.aborted) {
+      return;
+    }
+
+    res.cork(() => {
+      res.writeStatus('200 OK')
+        .writeHeader('Content-Type', format.contentType)
+        .writeHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      for (const chunk of format.render(username, points)) {
+        res.write(chunk);
+      }
+      res.end();
+    });
+  }
+
+  // Collect a JSON request body. Must be called synchronously in the route
+  // handler; resolves to a validation result with the parsed data.
+  readJsonBody(res, maxBytes = 64 * 1024) {
+    return new Promise(resolve => {
+      const chunks = [];
+      let size = 0;
+
+      res.onData((chunk, isLast) => {
+        size += chunk.byteLength;
+        if (size <= maxBytes) {
+          // uWS reuses the chunk's memory once the callback returns
+          chunks.push(Buffer.from(chunk.slice(0)));
+        }
+        if (!isLast) {
+          return;
+        }
+
+        if (size > maxBytes) {
+          return resolve({ valid: false, code: 'BODY_TOO_LARGE', message: `Request body exceeds ${maxBytes} bytes` });
+        }
+        try {
+          resolve({ valid: true, data: size === 0 ? {} : JSON.parse(Buffer.concat(chunks).toString()) });
+        } catch (error) {
+          resolve({ valid: false, code: 'INVALID_JSON', message: 'Invalid JSON format', details: error.message });
+        }
+      });
+    });
+  }
+
+  sendJson(res, status, body) {
+    if (res.aborted) {
+      return;
+    }
+
+    res.cork(() => {
+      res.writeStatus(status).writeHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+    });
+  }
+
+  sendHttpError(res, status, code, message, details = null) {
+    this.sendJson(res, status, {
+      error: {
+        code,
+        message,
+        ...(details && { details })
+      }
+    });
+  }
+
+  // Handle an inbound message. Replies sent while it is processed, including
+  // errors from async handlers, echo its requestId.
+  handleMessage(ws, message) {
+    const requestId = message && isValidRequestId(message.requestId) ? message.requestId : undefined;
+    this.requestContext.run({ ws, requestId }, () => this.routeMessage(ws, message));
+  }
+
+  routeMessage(ws, message) {
+    // Label unknown types as such so clients cannot create arbitrary series
+    let metricType = 'invalid';
+    if (message && typeof message.type === 'string') {
+      metricType = isKnownMessageType(message.type) ? message.type : 'unknown';
+    }
+    this.metrics.messagesReceived.inc({ type: metricType });
+
+    const validation = validateMessage(message);
+    if (!validation.valid) {
+      return this.sendError(ws, validation.code, validation.message, validation.details);
+    }
+
+    switch (message.type) {
+      case 'hello':
+        this.handleHello(ws, message.data);
+        break;
+
+      case 'resume':
+        this.handleResume(ws, message.data).catch(error => {
+          console.error('Error resuming session:', error);
+          this.sendError(ws, 'RESUME_ERROR', 'Failed to resume session', error.message);
+        });
+        break;
+
+      case 'location_update':
+        this.handleLocationUpdate(ws, message.data).catch(error => {
+          console.error('Error handling location update:', error);
+          this.sendError(ws, 'LOCATION_UPDATE_ERROR', 'Failed to process location update', error.message);
+        });
+        break;
+      
+      case 'location_batch':
+        this.handleLocationBatch(ws, message.data).catch(error => {
+          console.error('Error handling location batch:', error);
+          this.sendError(ws, 'LOCATION_UPDATE_ERROR', 'Failed to process location batch', error.message);
+        });
+        break;
+
+      case 'user_disconnect':
+        this.handleUserDisconnectRequest(ws, message.data);
+        break;
+      
+      case 'get_users':
+        this.sendUsersList(ws).catch(error => {
+          console.error('Error sending users list:', error);
+          this.sendError(ws, 'USERS_LIST_ERROR', 'Failed to retrieve users list', error.message);
+        });
+        break;
+      
+      case 'get_location_history':
+        this.handleLocationHistoryRequest(ws, message.data).catch(error => {
+          console.error('Error handling location history request:', error);
+          this.sendError(ws, 'HISTORY_REQUEST_ERROR', 'Failed to process location history request', error.message);
+        });
+        break;
+      
+      case 'get_timeline':
+        this.handleTimelineRequest(ws, message.data).catch(error => {
+          console.error('Error retrieving timeline:', error);
+          this.sendError(ws, 'HISTORY_ERROR', 'Failed to retrieve timeline', error.message);
+        });
+        break;
+
+      case 'create_circle':
+        this.handleCreateCircle(ws, message.data).catch(error => {
+          console.error('Error creating circle:', error);
+          this.sendError(ws, 'CIRCLE_ERROR', 'Failed to create circle', error.message);
+        });
+        break;
+
+      case 'join_circle':
+        this.handleJoinCircle(ws, message.data).catch(error => {
+          console.error('Error joining circle:', error);
+          this.sendError(ws, 'CIRCLE_ERROR', 'Failed to join circle', error.message);
+        });
+        break;
+
+      case 'leave_circle':
+        this.handleLeaveCircle(ws, message.data).catch(error => {
+          console.error('Error leaving circle:', error);
+          this.sendError(ws, 'CIRCLE_ERROR', 'Failed to leave circle', error.message);
+        });
+        break;
+
+      case 'get_circles':
+        this.sendCirclesList(ws).catch(error => {
+          console.error('Error sending circles list:', error);
+          this.sendError(ws, 'CIRCLE_ERROR', 'Failed to retrieve circles', error.message);
+        });
+        break;
+      
+      case 'create_geofence':
+        this.handleCreateGeofence(ws, message.data).catch(error => {
+          console.error('Error creating geofence:', error);
+          this.sendError(ws, 'GEOFENCE_ERROR', 'Failed to create geofence', error.message);
+        });
+        break;
+
+      case 'get_geofences':
+        this.sendGeofencesList(ws).catch(error => {
+          console.error('Error sending geofences list:', error);
+          this.sendError(ws, 'GEOFENCE_ERROR', 'Failed to retrieve geofences', error.message);
+        });
+        break;
+
+      case 'update_geofence':
+        this.handleUpdateGeofence(ws, message.data).catch(error => {
+          console.error('Error updating geofence:', error);
+          this.sendError(ws, 'GEOFENCE_ERROR', 'Failed to update geofence', error.message);
+        });
+        break;
+
+      case 'delete_geofence':
+        this.handleDeleteGeofence(ws, message.data).catch(error => {
+          console.error('Error deleting geofence:', error);
+          this.sendError(ws, 'GEOFENCE_ERROR', 'Failed to delete geofence', error.message);
+        });
+        break;
+      
+      case 'create_proximity_rule':
+        this.handleCreateProximityRule(ws, message.data).catch(error => {
+          console.error('Error creating proximity rule:', error);
+          this.sendError(ws, 'PROXIMITY_ERROR', 'Failed to create proximity rule', error.message);
+        });
+        break;
+
+      case 'get_proximity_rules':
+        this.sendProximityRulesList(ws).catch(error => {
+          console.error('Error sending proximity rules:', error);
+          this.sendError(ws, 'PROXIMITY_ERROR', 'Failed to retrieve proximity rules', error.message);
+        });
+        break;
+
+      case 'delete_proximity_rule':
+        this.handleDeleteProximityRule(ws, message.data).catch(error => {
+          console.error('Error deleting proximity rule:', error);
+          this.sendError(ws, 'PROXIMITY_ERROR', 'Failed to delete proximity rule', error.message);
+        });
+        break;
+
+      case 'get_nearby':
+        this.handleNearbyRequest(ws, message.data).catch(error => {
+          console.error('Error searching nearby users:', error);
+          this.sendError(ws, 'NEARBY_ERROR', 'Failed to search nearby users', error.message);
+        });
+        break;
+
+      case 'subscribe_viewport':
+        this.handleSubscribeViewport(ws, message.data).catch(error => {
+          console.error('Error subscribing viewport:', error);
+          this.sendError(ws, 'VIEWPORT_ERROR', 'Failed to subscribe viewport', error.message);
+        });
+        break;
+
+      case 'unsubscribe_viewport':
+        this.handleUnsubscribeViewport(ws);
+        break;
+
+      case 'get_sharing_settings':
+        this.sendSharingSettings(ws).catch(error => {
+          console.error('Error sending sharing settings:', error);
+          this.sendError(ws, 'SHARING_ERROR', 'Failed to retrieve sharing settings', error.message);
+        });
+        break;
+
+      case 'set_ghost_mode':
+        this.handleSetGhostMode(ws, message.data).catch(error => {
+          console.error('Error setting ghost mode:', error);
+          this.sendError(ws, 'SHARING_ERROR', 'Failed to update ghost mode', error.message);
+        });
+        break;
+
+      case 'set_sharing_visibility':
+        this.handleSetSharingVisibility(ws, message.data).catch(error => {
+          console.error('Error setting sharing visibility:', error);
+          this.sendError(ws, 'SHARING_ERROR', 'Failed to update sharing visibility', error.message);
+        });
+        break;
+
+      case 'grant_access':
+        this.handleGrantAccess(ws, message.data).catch(error => {
+          console.error('Error granting access:', error);
+          this.sendError(ws, 'SHARING_ERROR', 'Failed to grant access', error.message);
+        });
+        break;
+
+      case 'revoke_access':
+        this.handleRevokeAccess(ws, message.data).catch(error => {
+          console.error('Error revoking access:', error);
+          this.sendError(ws, 'SHARING_ERROR', 'Failed to revoke access', error.message);
+        });
+        break;
+
+      case 'set_precision':
+        this.handleSetPrecision(ws, message.data).catch(error => {
+          console.error('Error setting precision:', error);
+          this.sendError(ws, 'SHARING_ERROR', 'Failed to set precision', error.message);
+        });
+        break;
+
+      case 'clear_precision':
+        this.handleClearPrecision(ws, message.data).catch(error => {
+          console.error('Error clearing precision:', error);
+          this.sendError(ws, 'SHARING_ERROR', 'Failed to clear precision', error.message);
+        });
+        break;
+      
+      case 'create_share_link':
+        this.handleCreateShareLink(ws, message.data).catch(error => {
+          console.error('Error creating share link:', error);
+          this.sendError(ws, 'SHARE_LINK_ERROR', 'Failed to create share link', error.message);
+        });
+        break;
+
+      case 'get_share_links':
+        this.sendShareLinksList(ws).catch(error => {
+          console.error('Error sending share links:', error);
+          this.sendError(ws, 'SHARE_LINK_ERROR', 'Failed to retrieve share links', error.message);
+        });
+        break;
+
+      case 'export_data':
+        this.handleExportData(ws).catch(error => {
+          console.error('Error exporting data:', error);
+          this.sendError(ws, 'DATA_EXPORT_ERROR', 'Failed to export data', error.message);
+        });
+        break;
+
+      case 'erase_data':
+        this.handleEraseData(ws, message.data).catch(error => {
+          console.error('Error erasing data:', error);
+          this.sendError(ws, 'DATA_ERASURE_ERROR', 'Failed to erase data', error.message);
+        });
+        break;
+
+      case 'revoke_share_link':
+        this.handleRevokeShareLink(ws, message.data).catch(error => {
+          console.error('Error revoking share link:', error);
+          this.sendError(ws, 'SHARE_LINK_ERROR', 'Failed to revoke share link', error.message);
+        });
+        break;
+    }
+  }
+
+  // Protocol negotiation: the client declares the version it speaks and the
+  // server answers with the features it supports
+  handleHello(ws, data) {
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(data.protocolVersion)) {
+      return this.sendError(ws, 'UNSUPPORTED_PROTOCOL_VERSION', `Unsupported protocol version: ${data.protocolVersion}`,
+        `Supported versions: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`);
+    }
+
+    ws.protocolVersion = data.protocolVersion;
+    this.sendMessage(ws, {
+      type: 'hello',
+      data: {
+        protocolVersion: data.protocolVersion,
+        latestProtocolVersion: PROTOCOL_VERSION,
+        serverId: this.serverId,
+        encoding: ws.encoding,
+        features: PROTOCOL_FEATURES
+      }
+    });
+  }
+
+  createSession(username) {
+    const token = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(token, { username, closedAt: null });
+    return token;
+  }
+
+  // Replay the events a client missed since the last sequence number it saw
+  // on its previous connection. Sessions from another instance, expired
+  // sessions and gaps larger than the event log get a full resync instead.
+  async handleResume(ws, data) {
+    const session = this.sessions.get(data.sessionToken);
+    const isResumable = Boolean(session) && data.sessionToken !== ws.sessionToken &&
+      session.username === ws.username &&
+      (session.closedAt === null || Date.now() - session.closedAt <= this.config.sessionResumeWindow);
+    const missed = isResumable ? this.eventLog.since(ws.username, data.lastSeq, ws.openedSeq) : null;
+
+    if (isResumable) {
+      // A session can be resumed once
+      this.sessions.delete(data.sessionToken);
+    }
+
+    if (missed) {
+      // Replayed events look exactly as they did when first sent
+      this.requestContext.exit(() => missed.forEach(message => this.deliverLocal(ws, message)));
+    } else {
+      await this.sendUsersList(ws);
+    }
+
+    console.log(`${ws.username} resumed with ${missed ? `${missed.length} replayed event(s)` : 'a full resync'}`);
+
+    this.sendMessage(ws, {
+      type: 'resumed',
+      data: {
+        resync: !missed,
+        replayed: missed ? missed.length : 0,
+        seq: ws.openedSeq
+      }
+    });
+  }
+
+  async handleLocationUpdate(ws, data) {
+    // Validate required fields
+    const validation = this.validateLocationData(data);
+    if (!validation.valid) {
+      return this.sendError(ws, validation.code, validation.message, validation.details);
+    }
+
+    // Updates may only be sent for the authenticated identity
+    if (data.name !== ws.username) {
+      return this.sendError(ws, 'IDENTITY_MISMATCH', 'Can only send location updates for your own user',
+        `Authenticated as ${ws.username}`);
+    }
+
+    if (this.erasing.has(ws.username)) {
+      return this.sendError(ws, 'ERASURE_IN_PROGRESS', 'Your data is being erased');
+    }
+
+    // Check rate limiting
+    if (this.isRateLimited(data.name)) {
+      this.metrics.rateLimitRejections.inc();
+      return this.sendError(ws, 'RATE_LIMITED', 'Location updates too frequent', 
+        `Minimum interval is ${this.config.locationUpdateInterval}ms`);
+    }
+
+    // Check user limit
+    if (!this.users.has(data.name) && this.users.size >= this.config.maxUsers) {
+      return this.sendError(ws, 'USER_LIMIT_EXCEEDED', 
+        `Maximum ${this.config.maxUsers} users allowed`);
+    }
+
+    // Update rate limit tracker
+    this.userRateLimit.set(data.name, Date.now());
+
+    const userData = this.buildUserData(data.name, data, data.lastUpdate || new Date().toISOString());
+
+    // Stored scored by the time the server received it
+    const receivedAt = Date.now();
+    const stored = await this.applyLiveLocation(data.name, userData, receivedAt);
+
+    this.sendMessage(ws, {
+      type: 'ack',
+      data: {
+        type: 'location_update',
+        timestamp: new Date(receivedAt).toISOString(),
+        lastUpdate: userData.lastUpdate,
+        stored
+      }
+    });
+  }
+
+  // Upload of fixes buffered while offline. Each fix is validated on its own,
+  // stored under its own timestamp, and only the newest becomes the live
+  // position (if it is newer than the current one).
+  async handleLocationBatch(ws, data) {
+    if (data.name && data.name !== ws.username) {
+      return this.sendError(ws, 'IDENTITY_MISMATCH', 'Can only send location updates for your own user',
+        `Authenticated as ${ws.username}`);
+    }
+
+    if (this.erasing.has(ws.username)) {
+      return this.sendError(ws, 'ERASURE_IN_PROGRESS', 'Your data is being erased');
+    }
+
+    if (data.locations.length === 0 || data.locations.length > this.config.maxBatchSize) {
+      return this.sendError(ws, 'INVALID_BATCH', 'Invalid location batch',
+        `A batch must contain between 1 and ${this.config.maxBatchSize} locations`);
+    }
+
+    if (this.isRateLimited(ws.username, this.batchRateLimit)) {
+      this.metrics.rateLimitRejections.inc();
+      return this.sendError(ws, 'RATE_LIMITED', 'Location batches too frequent',
+        `Minimum interval is ${this.config.locationUpdateInterval}ms`);
+    }
+    this.batchRateLimit.set(ws.username, Date.now());
+
+    const seen = new Set();
+    const accepted = [];
+    const results = data.locations.map((item, index) => {
+      const rejection = this.validateBatchLocation(item, seen);
+      if (rejection) {
+        return { index, status: 'rejected', ...rejection };
+      }
+
+      const timestamp = new Date(item.lastUpdate).getTime();
+      seen.add(timestamp);
+      accepted.push({
+        timestamp,
+        location: this.buildUserData(ws.username, item, new Date(timestamp).toISOString())
+      });
+      return { index, status: 'accepted', lastUpdate: new Date(timestamp).toISOString() };
+    });
+
+    // Oldest first, so the timeline sees the fixes in order
+    accepted.sort((a, b) => a.timestamp - b.timestamp);
+
+    // The newest fix only becomes the live position while it is recent
+    // enough not to be cleaned up as stale right away
+    const newest = accepted[accepted.length - 1];
+    const current = this.users.get(ws.username);
+    const isLive = Boolean(newest) && Date.now() - newest.timestamp <= this.config.userTimeout &&
+      (current ? new Date(current.lastUpdate).getTime() < newest.timestamp : this.users.size < this.config.maxUsers);
+    const past = isLive ? accepted.slice(0, -1) : accepted;
+
+    let stored = true;
+    if (past.length > 0) {
+      stored = await this.redis.storeLocationHistory(ws.username, past);
+      for (const { location } of past) {
+        await this.updateTimeline(ws.username, location);
+      }
+    }
+    if (isLive) {
+      stored = await this.applyLiveLocation(ws.username, newest.location, newest.timestamp) && stored;
+    }
+
+    console.log(`Location batch from ${ws.username}: ${accepted.length} of ${results.length} accepted`);
+
+    this.sendMessage(ws, {
+      type: 'ack',
+      data: {
+        type: 'location_batch',
+        accepted: accepted.length,
+        rejected: results.length - accepted.length,
+        live: isLive ? newest.location.lastUpdate : null,
+        stored: accepted.length > 0 && stored,
+        results
+      }
+    });
+  }
+
+  // Reason a fix of a batch is rejected, or null when it is accepted
+  validateBatchLocation(item, seen) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { code: 'INVALID_LOCATION', message: 'Location must be an object' };
+    }
+
+    const validation = this.validateLocationFields(item);
+    if (!validation.valid) {
+      return { code: validation.code, message: validation.message, ...(validation.details && { details: validation.details }) };
+    }
+
+    const timestamp = item.lastUpdate ? new Date(item.lastUpdate).getTime() : NaN;
+    if (Number.isNaN(timestamp)) {
+      return { code: 'INVALID_TIMESTAMP', message: 'lastUpdate is required and must be a valid timestamp' };
+    }
+
+    const now = Date.now();
+    if (timestamp > now + this.config.maxClockSkew) {
+      return { code: 'FUTURE_TIMESTAMP', message: 'Location is timestamped in the future' };
+    }
+    if (timestamp < now - this.redis.config.locationTTL * 1000) {
+      return { code: 'EXPIRED_LOCATION', message: 'Location is older than the history retention' };
+    }
+    if (seen.has(timestamp)) {
+      return { code: 'DUPLICATE', message: 'Another location in the batch has the same timestamp' };
+    }
+
+    return null;
+  }
+
+  // Location record with whichever optional readings the client sent
+  buildUserData(username, data, lastUpdate) {
+    const userData = {
+      name: username,
+      latitude: data.latitude,
+      longitude: data.longitude,
+      lastUpdate
+    };
+
+    [...Object.keys(OPTIONAL_LOCATION_FIELDS), 'activity'].forEach(field => {
+      if (data[field] !== undefined && data[field] !== null) {
+        userData[field] = data[field];
+      }
+    });
+
+    return userData;
+  }
+
+  // Make a location the user's live position: store it, run geofence,
+  // proximity and timeline checks, and broadcast it. Returns whether it
+  // reached Redis.
+  async applyLiveLocation(username, userData, timestamp) {
+    const isNewUser = !this.users.has(username);
+    this.users.set(username, userData);
+
+    const stored = await this.redis.storeUserLocation(username, userData, this.serverId, timestamp);
+
+    console.log(`${isNewUser ? 'New' : 'Updated'} user location:`, userData);
+
+    await this.setPresence(username, 'online');
+    await this.evaluateGeofences(username, userData);
+    await this.evaluateProximity(username, userData);
+    await this.updateTimeline(username, userData);
+
+    this.positions.set(username, userData, { ...userData, connected: true });
+
+    // Broadcast to everyone allowed to see the user
+    const locationMessage = {
+      type: 'user_location',
+      data: {
+        ...userData,
+        connected: true  // User is connected since they're sending location updates
+      }
+    };
+    await this.broadcastToViewers(username, locationMessage);
+    await this.broadcastToShareViewers(username, locationMessage);
+
+    return stored;
+  }
+
+  handleUserDisconnectRequest(ws, data) {
+    // The name is optional; when given it must match the authenticated identity
+    if (data.name && data.name !== ws.username) {
+      return this.sendError(ws, 'UNAUTHORIZED_DISCONNECT', 'Can only disconnect your own session');
+    }
+
+    this.handleUserDisconnect(ws.username);
+    ws.close();
+  }
+
+  async handleUserDisconnect(username) {
+    const user = this.users.get(username);
+    if (user) {
+      console.log('User disconnected:', user);
+      
+      // Remove from in-memory storage
+      this.users.delete(username);
+      this.userRateLimit.delete(username);
+      this.batchRateLimit.delete(username);
+      this.geofenceStates.delete(username); // reloaded from Redis when the user returns
+      this.timelines.delete(username);
+      this.positions.remove(username);
+      await this.redis.setUserOffline(username, this.serverId);
+
+      // Note: We don't remove from Redis on disconnect to maintain persistence
+      // The TTL will handle cleanup of old data
+
+      // Notify the user's peers
+      await this.setPresence(username, 'offline');
+      this.presence.delete(username);
+    }
+  }
+
+  // Record a presence transition, persist it and broadcast it to the user's peers.
+  // Repeating the current status only refreshes the last-seen time.
+  async setPresence(username, status) {
+    const current = this.presence.get(username);
+    const lastSeen = status === 'online' || !current ? new Date().toISOString() : current.lastSeen;
+
+    this.presence.set(username, { status, lastSeen });
+    if (current && current.status === status) {
+      return;
+    }
+
+    console.log(`Presence of ${username}: ${status}`);
+
+    // Online status and last-seen are stored along with every location update
+    if (status !== 'online') {
+      await this.redis.setUserPresence(username, status, lastSeen);
+    }
+
+    await this.broadcastToViewers(username, {
+      type: 'presence',
+      data: { name: username, status, lastSeen }
+    });
+  }
+
+  validateLocationData(data) {
+    // Check required fields
+    if (!data.name || typeof data.name !== 'string') {
+      return { valid: false, code: 'INVALID_NAME', message: 'Name is required and must be a string' };
+    }
+
+    if (data.name.length === 0 || data.name.length > this.config.maxNameLength) {
+      return { 
+        valid: false, 
+        code: 'INVALID_NAME', 
+        message: 'Name must be between 1 and 50 characters',
+        details: `Name length: ${data.name.length}, max: ${this.config.maxNameLength}`
+      };
+    }
+
+    const fields = this.validateLocationFields(data);
+    if (!fields.valid) {
+      return fields;
+    }
+
+    // Check if location update is too old (optional validation)
+    if (data.lastUpdate) {
+      const updateTime = new Date(data.lastUpdate).getTime();
+      const now = Date.now();
+      if (now - updateTime > this.config.userTimeout) {
+        return {
+          valid: false,
+          code: 'STALE_LOCATION',
+          message: 'Location update is too old',
+          details: `Update is ${Math.floor((now - updateTime) / 1000)} seconds old`
+        };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  // Coordinates and optional readings shared by live updates and batches
+  validateLocationFields(data) {
+    if (typeof data.latitude !== 'number' || data.latitude < -90 || data.latitude > 90) {
+      return { 
+        valid: false, 
+        code: 'INVALID_LOCATION', 
+        message: 'Invalid latitude value',
+        details: 'Latitude must be between -90 and 90'
+      };
+    }
+
+    if (typeof data.longitude !== 'number' || data.longitude < -180 || data.longitude > 180) {
+      return { 
+        valid: false, 
+        code: 'INVALID_LOCATION', 
+        message: 'Invalid longitude value',
+        details: 'Longitude must be between -180 and 180'
+      };
+    }
+
+    for (const [field, range] of Object.entries(OPTIONAL_LOCATION_FIELDS)) {
+      const value = data[field];
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min || value > range.max) {
+        return {
+          valid: false,
+          code: 'INVALID_LOCATION',
+          message: `Invalid ${field} value`,
+          details: `${field} must be between ${range.min} and ${range.max} (${range.unit})`
+        };
+      }
+    }
+
+    if (data.activity !== undefined && data.activity !== null && !ACTIVITY_TYPES.includes(data.activity)) {
+      return {
+        valid: false,
+        code: 'INVALID_LOCATION',
+        message: 'Invalid activity value',
+        details: `activity must be one of: ${ACTIVITY_TYPES.join(', ')}`
+      };
+    }
+
+    return { valid: true };
+  }
+
+  isRateLimited(username, tracker = this.userRateLimit) {
+    const lastUpdate = tracker.get(username);
+    if (!lastUpdate) return false;
+    
+    return (Date.now() - lastUpdate) < this.config.locationUpdateInterval;
+  }
+
+  async sendUsersList(ws) {
+    const users = await this.getVisibleUsers(ws.username);
+
+    this.sendMessage(ws, {
+      type: 'users_list',
+      data: users
+    });
+  }
+
+  // The user and everyone sharing their location with them, with connection
+  // status and coordinates at the precision each user shares with the viewer
+  async getVisibleUsers(viewer) {
+    const peers = await this.getCirclePeers(viewer);
+    const grantors = await this.getSharingGrantors(viewer);
+    const visible = new Map(); // username -> precision
+
+    for (const username of new Set([viewer, ...peers, ...grantors])) {
+      const access = await this.getViewAccess(viewer, username);
+      if (access) {
+        visible.set(username, access.precision);
+      }
+    }
+
+    return (await this.getUsersWithStatus(Array.from(visible.keys())))
+      .map(user => coarsenLocation(user, visible.get(user.name)));
+  }
+
+  async getUsersWithStatus(usernames) {
+    try {
+      // Get users from Redis (including disconnected ones)
+      const allUsers = await this.redis.getUsersWithLocations(usernames);
+      if (allUsers === null) {
+        return this.getLocalUsersWithStatus(usernames);
+      }
+
+      // Users are connected when active on this or any other instance
+      const connectedUsernames = await this.redis.getOnlineUsers(usernames);
+      this.users.forEach((user, username) => connectedUsernames.add(username));
+      
+      // Add connection status to users; users no longer active anywhere are
+      // offline even if their last stored status was not updated (e.g. a crash)
+      return allUsers.map(user => {
+        const connected = connectedUsernames.has(user.name);
+        return {
+          ...user,
+          status: connected ? (user.status || 'online') : 'offline',
+          connected
+        };
+      });
+    } catch (error) {
+      console.error('Error retrieving users:', error);
+      return this.getLocalUsersWithStatus(usernames);
+    }
+  }
+
+  // Fallback to in-memory users only, used when Redis cannot answer
+  getLocalUsersWithStatus(usernames) {
+    return usernames
+      .filter(username => this.users.has(username))
+      .map(username => ({
+        ...this.users.get(username),
+        ...this.presence.get(username),
+        connected: true  // All in-memory users are connected
+      }));
+  }
+
+  async handleLocationHistoryRequest(ws, data) {
+    // Default to the authenticated user's own history
+    const username = data.username || ws.username;
+
+    const access = await this.getViewAccess(ws.username, username);
+    if (!access) {
+      return this.sendError(ws, 'UNAUTHORIZED_HISTORY', 'Not allowed to view history of this user');
+    }
+
+    const query = this.parseHistoryQuery(access, data);
+    if (!query.valid) {
+      return this.sendError(ws, query.code, query.message, query.details);
+    }
+
+    try {
+      this.sendMessage(ws, {
+        type: 'location_history',
+        data: await this.getHistoryPage(access, username, query)
+      });
+    } catch (error) {
+      console.error('Error retrieving location history:', error);
+      this.sendError(ws, 'HISTORY_ERROR', 'Failed to retrieve location history', error.message);
+    }
+  }
+
+  // Validate the range, pagination and simplification options of a history query
+  parseHistoryQuery(access, params) {
+    const startTime = params.startTime ? new Date(params.startTime).getTime() : null;
+    const endTime = params.endTime ? new Date(params.endTime).getTime() : null;
+    if (Number.isNaN(startTime) || Number.isNaN(endTime) ||
+        (startTime !== null && endTime !== null && startTime > endTime)) {
+      return {
+        valid: false,
+        code: 'INVALID_TIME_RANGE',
+        message: 'Invalid time range',
+        details: 'Start and end must be valid timestamps and start must not be after end'
+      };
+    }
+
+    const limit = params.limit === undefined ? null : params.limit;
+    if (limit !== null && !this.isValidHistoryLimit(limit)) {
+      return {
+        valid: false,
+        code: 'INVALID_LIMIT',
+        message: 'Invalid limit',
+        details: `Limit must be an integer between 1 and ${this.config.maxHistoryLimit}`
+      };
+    }
+
+    const order = params.order === undefined ? 'desc' : params.order;
+    if (order !== 'asc' && order !== 'desc') {
+      return { valid: false, code: 'INVALID_ORDER', message: 'Invalid order', details: 'Order must be asc or desc' };
+    }
+
+    let after = null;
+    if (params.cursor !== undefined) {
+      // Cursors come from clients, so one pointing outside what the viewer
+      // may see is rejected rather than trusted to bound the range
+      const range = this.limitHistoryRange(access, startTime, endTime);
+      after = this.decodeHistoryCursor(params.cursor, order);
+      if (after === null ||
+          (range.startTime !== null && after.score < range.startTime) ||
+          (range.endTime !== null && after.score > range.endTime)) {
+        return { valid: false, code: 'INVALID_CURSOR', message: 'Invalid history cursor' };
+      }
+    }
+
+    const tolerance = params.tolerance === undefined ? null : params.tolerance;
+    if (tolerance !== null && (typeof tolerance !== 'number' || !(tolerance > 0))) {
+      return {
+        valid: false,
+        code: 'INVALID_SIMPLIFICATION',
+        message: 'Invalid simplification tolerance',
+        details: 'tolerance must be a positive number of meters'
+      };
+    }
+
+    const maxPoints = params.maxPoints === undefined ? null : params.maxPoints;
+    if (maxPoints !== null && (!Number.isInteger(maxPoints) || maxPoints < 2)) {
+      return {
+        valid: false,
+        code: 'INVALID_SIMPLIFICATION',
+        message: 'Invalid point budget',
+        details: 'maxPoints must be an integer of at least 2'
+      };
+    }
+
+    return { valid: true, startTime, endTime, limit, order, after, tolerance, maxPoints };
+  }
+
+  // Fetch one page of history within what the viewer may see, simplified on request
+  async getHistoryPage(access, username, query) {
+    const { startTime, endTime } = this.limitHistoryRange(access, query.startTime, query.endTime);
+    const page = await this.redis.getUserLocationHistoryPage(username, {
+      startTime,
+      endTime,
+      limit: query.limit,
+      order: query.order,
+      after: query.after
+    });
+
+    // Coarsen before simplifying so the kept points do not reveal the true track
+    const points = page.history.map(point => coarsenLocation(point, access.precision));
+    const history = query.tolerance !== null || query.maxPoints !== null
+      ? simplifyTrack(points, { tolerance: query.tolerance, maxPoints: query.maxPoints })
+      : points;
+
+    return {
+      username,
+      history,
+      order: query.order,
+      nextCursor: page.hasMore ? this.encodeHistoryCursor(page.next, query.order) : null
+    };
+  }
+
+  // Cursors are opaque to clients; they record where the previous page ended
+  encodeHistoryCursor(next, order) {
+    return Buffer.from(JSON.stringify({ after: next.score, skip: next.skip, order })).toString('hex');
+  }
+
+  decodeHistoryCursor(cursor, order) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(cursor), 'hex').toString());
+      return decoded && decoded.order === order && Number.isFinite(decoded.after) &&
+        Number.isInteger(decoded.skip) && decoded.skip > 0
+        ? { score: decoded.after, skip: decoded.skip }
+        : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async handleTimelineRequest(ws, data) {
+    // Default to the authenticated user's own timeline
+    const username = data.username || ws.username;
+
+    const access = await this.getViewAccess(ws.username, username);
+    if (!access) {
+      return this.sendError(ws, 'UNAUTHORIZED_HISTORY', 'Not allowed to view history of this user');
+    }
+
+    const limit = data.limit === undefined ? null : data.limit;
+    if (limit !== null && !this.isValidHistoryLimit(limit)) {
+      return this.sendError(ws, 'INVALID_LIMIT', 'Invalid limit',
+        `Limit must be an integer between 1 and ${this.config.maxHistoryLimit}`);
+    }
+
+    const range = this.parseTimeRange(data.startTime, data.endTime, 'startTime and endTime');
+    if (!range.valid) {
+      return this.sendError(ws, range.code, range.message, range.details);
+    }
+
+    const { startTime, endTime } = this.limitHistoryRange(access, range.startTime, range.endTime);
+
+    this.sendMessage(ws, {
+      type: 'timeline',
+      data: await this.getTimeline(username, startTime, endTime, limit, access.precision)
+    });
+  }
+
+  // Completed trips and stays (latest first) plus the segment still in progress
+  async getTimeline(username, startTime, endTime, limit, precision = 'exact') {
+    const segments = await this.redis.getTimeline(username, startTime, endTime, limit);
+
+    const state = this.timelines.get(username) || await this.redis.getTimelineState(username);
+    let current = state && state.segment ? formatSegment(state.segment) : null;
+    if (current && ((startTime && state.segment.endTime < startTime) ||
+        (endTime && state.segment.startTime > endTime))) {
+      current = null;
+    }
+
+    return {
+      username,
+      segments: segments.map(segment => coarsenSegment(segment, precision)),
+      current: coarsenSegment(current, precision)
+    };
+  }
+
+  // Segment the user's location stream into trips and stays
+  async updateTimeline(username, location) {
+    let state = this.timelines.get(username);
+    if (!state) {
+      state = await this.redis.getTimelineState(username);
+    }
+
+    const result = advanceTimeline(state, location, {
+      stayRadius: this.config.stayRadius,
+      stayDuration: this.config.stayDuration
+    });
+
+    this.timelines.set(username, result.state);
+    await this.redis.saveTimeline(username, result.state, result.completed);
+
+    result.completed.forEach(segment => {
+      console.log(`🧭 ${username} completed a ${segment.type} of ${segment.duration}s`);
+    });
+  }
+
+  isValidHistoryLimit(limit) {
+    return Number.isInteger(limit) && limit >= 1 && limit <= this.config.maxHistoryLimit;
+  }
+
+  async handleCreateCircle(ws, data) {
+    if (!data.name || typeof data.name !== 'string' || data.name.length > this.config.maxNameLength) {
+      return this.sendError(ws, 'INVALID_CIRCLE', 'Circle name is required',
+        `Name must be between 1 and ${this.config.maxNameLength} characters`);
+    }
+
+    await this.loadUserCircles(ws.username);
+
+    const circle = {
+      id: uuidv4(),
+      name: data.name,
+      owner: ws.username,
+      inviteCode: this.generateInviteCode(),
+      createdAt: new Date().toISOString(),
+      members: new Set([ws.username])
+    };
+
+    await this.redis.createCircle(circle);
+    this.circles.set(circle.id, circle);
+    this.userCircles.get(ws.username).add(circle.id);
+    this.publishCircleUpdate(circle.id, ws.username);
+
+    console.log(`Circle ${circle.name} (${circle.id}) created by ${ws.username}`);
+
+    this.sendMessage(ws, {
+      type: 'circle_created',
+      data: this.serializeCircle(circle)
+    });
+  }
+
+  async handleJoinCircle(ws, data) {
+    if (!data.inviteCode || typeof data.inviteCode !== 'string') {
+      return this.sendError(ws, 'INVALID_INVITE', 'Invite code is required');
+    }
+
+    const circleId = await this.findCircleIdByInviteCode(data.inviteCode);
+    const circle = circleId && await this.getCircle(circleId);
+    if (!circle) {
+      return this.sendError(ws, 'INVALID_INVITE', 'Invite code is not valid');
+    }
+
+    await this.loadUserCircles(ws.username);
+
+    if (circle.members.has(ws.username)) {
+      return this.sendError(ws, 'ALREADY_MEMBER', 'Already a member of this circle');
+    }
+
+    await this.redis.addCircleMember(circle.id, ws.username);
+    circle.members.add(ws.username);
+    this.userCircles.get(ws.username).add(circle.id);
+    this.publishCircleUpdate(circle.id, ws.username);
+
+    console.log(`${ws.username} joined circle ${circle.name} (${circle.id})`);
+
+    this.sendMessage(ws, {
+      type: 'circle_joined',
+      data: this.serializeCircle(circle)
+    });
+
+    this.broadcastToCircle(circle, ws.username, {
+      type: 'circle_member_joined',
+      data: { circleId: circle.id, name: ws.username }
+    });
+
+    // The new member can now see the rest of the circle
+    await this.sendUsersList(ws);
+  }
+
+  async handleLeaveCircle(ws, data) {
+    if (!data.circleId) {
+      return this.sendError(ws, 'INVALID_CIRCLE', 'Circle id is required');
+    }
+
+    await this.loadUserCircles(ws.username);
+
+    const circle = await this.getCircle(data.circleId);
+    if (!circle || !circle.members.has(ws.username)) {
+      return this.sendError(ws, 'NOT_A_MEMBER', 'Not a member of this circle');
+    }
+
+    await this.redis.removeCircleMember(circle.id, ws.username);
+    circle.members.delete(ws.username);
+    this.userCircles.get(ws.username).delete(circle.id);
+
+    if (circle.members.size === 0) {
+      this.circles.delete(circle.id);
+    }
+    this.publishCircleUpdate(circle.id, ws.username);
+
+    // A precision set for the circle must not come back if the user rejoins
+    const settings = await this.loadSharingSettings(ws.username);
+    if (settings.precision.circles[circle.id]) {
+      delete settings.precision.circles[circle.id];
+      await this.redis.removeSharingPrecision(ws.username, `circle:${circle.id}`);
+      this.publishSharingUpdate(ws.username);
+    }
+
+    console.log(`${ws.username} left circle ${circle.name} (${circle.id})`);
+
+    this.sendMessage(ws, {
+      type: 'circle_left',
+      data: { circleId: circle.id }
+    });
+
+    this.broadcastToCircle(circle, ws.username, {
+      type: 'circle_member_left',
+      data: { circleId: circle.id, name: ws.username }
+    });
+  }
+
+  async sendCirclesList(ws) {
+    const circleIds = await this.loadUserCircles(ws.username);
+    const circles = [];
+
+    for (const circleId of circleIds) {
+      const circle = await this.getCircle(circleId);
+      if (circle) {
+        circles.push(this.serializeCircle(circle));
+      }
+    }
+
+    this.sendMessage(ws, {
+      type: 'circles_list',
+      data: circles
+    });
+  }
+
+  // Load a user's circle memberships into the in-memory cache
+  async loadUserCircles(username) {
+    if (this.userCircles.has(username)) {
+      return this.userCircles.get(username);
+    }
+
+    const circleIds = new Set(await this.redis.getUserCircleIds(username));
+    for (const circleId of circleIds) {
+      if (!await this.getCircle(circleId)) {
+        circleIds.delete(circleId);
+      }
+    }
+
+    // Another caller may have populated the cache while we were waiting on Redis
+    if (!this.userCircles.has(username)) {
+      this.userCircles.set(username, circleIds);
+    }
+    return this.userCircles.get(username);
+  }
+
+  // Get a circle from the cache, loading it from Redis on a miss
+  async getCircle(circleId) {
+    if (this.circles.has(circleId)) {
+      return this.circles.get(circleId);
+    }
+
+    const stored = await this.redis.getCircle(circleId);
+    if (!stored) {
+      return null;
+    }
+
+    const circle = { ...stored, members: new Set(stored.members) };
+    this.circles.set(circleId, circle);
+    return circle;
+  }
+
+  async findCircleIdByInviteCode(inviteCode) {
+    const circleId = await this.redis.getCircleIdByInviteCode(inviteCode);
+    if (circleId) {
+      return circleId;
+    }
+
+    // Fall back to circles created while running in memory-only mode
+    for (const circle of this.circles.values()) {
+      if (circle.inviteCode === inviteCode) {
+        return circle.id;
+      }
+    }
+    return null;
+  }
+
+  // Get the usernames that share at least one circle with a user
+  async getCirclePeers(username) {
+    const circleIds = await this.loadUserCircles(username);
+    const peers = new Set();
+
+    for (const circleId of circleIds) {
+      const circle = await this.getCircle(circleId);
+      if (circle) {
+        circle.members.forEach(member => peers.add(member));
+      }
+    }
+
+    peers.delete(username);
+    return peers;
+  }
+
+  async handleCreateGeofence(ws, data) {
+    if (data.circleId && !await this.isCircleMember(data.circleId, ws.username)) {
+      return this.sendError(ws, 'NOT_A_MEMBER', 'Not a member of this circle');
+    }
+
+    const validation = this.validateGeofence(data);
+    if (!validation.valid) {
+      return this.sendError(ws, validation.code, validation.message, validation.details);
+    }
+
+    const ownerType = data.circleId ? 'circle' : 'user';
+    const ownerId = data.circleId || ws.username;
+    const geofences = await this.loadGeofences(ownerType, ownerId);
+
+    if (geofences.size >= this.config.maxGeofencesPerOwner) {
+      return this.sendError(ws, 'GEOFENCE_LIMIT_EXCEEDED',
+        `Maximum ${this.config.maxGeofencesPerOwner} geofences allowed per owner`);
+    }
+
+    const now = new Date().toISOString();
+    const geofence = {
+      id: uuidv4(),
+      name: data.name,
+      ownerType,
+      ownerId,
+      createdBy: ws.username,
+      ...this.getGeofenceShape(data),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.redis.saveGeofence(geofence);
+    geofences.set(geofence.id, geofence);
+    this.publishGeofenceUpdate(geofence);
+
+    console.log(`Geofence ${geofence.name} (${geofence.id}) created by ${ws.username}`);
+
+    this.sendMessage(ws, {
+      type: 'geofence_created',
+      data: geofence
+    });
+  }
+
+  async sendGeofencesList(ws) {
+    const geofences = await this.getAccessibleGeofences(ws.username);
+
+    this.sendMessage(ws, {
+      type: 'geofences_list',
+      data: geofences
+    });
+  }
+
+  async handleUpdateGeofence(ws, data) {
+    const existing = await this.findManageableGeofence(ws, data.id);
+    if (!existing) {
+      return;
+    }
+
+    // Unspecified fields keep their current values
+    const merged = {
+      name: existing.name,
+      shape: existing.shape,
+      center: existing.center,
+      radius: existing.radius,
+      points: existing.points,
+      ...data
+    };
+
+    const validation = this.validateGeofence(merged);
+    if (!validation.valid) {
+      return this.sendError(ws, validation.code, validation.message, validation.details);
+    }
+
+    const geofence = {
+      id: existing.id,
+      name: merged.name,
+      ownerType: existing.ownerType,
+      ownerId: existing.ownerId,
+      createdBy: existing.createdBy,
+      ...this.getGeofenceShape(merged),
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.redis.saveGeofence(geofence);
+    (await this.loadGeofences(geofence.ownerType, geofence.ownerId)).set(geofence.id, geofence);
+    this.publishGeofenceUpdate(geofence);
+
+    this.sendMessage(ws, {
+      type: 'geofence_updated',
+      data: geofence
+    });
+  }
+
+  async handleDeleteGeofence(ws, data) {
+    const geofence = await this.findManageableGeofence(ws, data.id);
+    if (!geofence) {
+      return;
+    }
+
+    // States are recorded per user: the owner, or each member of the circle
+    const circle = geofence.ownerType === 'circle' ? await this.getCircle(geofence.ownerId) : null;
+    const usernames = circle ? Array.from(circle.members) : [geofence.ownerId];
+
+    await this.redis.deleteGeofence(geofence, usernames);
+    (await this.loadGeofences(geofence.ownerType, geofence.ownerId)).delete(geofence.id);
+    this.geofenceStates.forEach(states => states.delete(geofence.id));
+    this.publishGeofenceUpdate(geofence, true);
+
+    console.log(`Geofence ${geofence.name} (${geofence.id}) deleted by ${ws.username}`);
+
+    this.sendMessage(ws, {
+      type: 'geofence_deleted',
+      data: { id: geofence.id }
+    });
+  }
+
+  // Find a geofence the user may modify, sending an error when there is none
+  async findManageableGeofence(ws, geofenceId) {
+    if (!geofenceId) {
+      this.sendError(ws, 'INVALID_GEOFENCE', 'Geofence id is required');
+      return null;
+    }
+
+    const geofences = await this.getAccessibleGeofences(ws.username);
+    const geofence = geofences.find(candidate => candidate.id === geofenceId);
+    if (!geofence) {
+      this.sendError(ws, 'GEOFENCE_NOT_FOUND', 'Geofence not found');
+      return null;
+    }
+
+    // Circle geofences can be changed by their creator or the circle owner
+    if (geofence.ownerType === 'circle' && geofence.createdBy !== ws.username) {
+      const circle = await this.getCircle(geofence.ownerId);
+      if (!circle || circle.owner !== ws.username) {
+        this.sendError(ws, 'UNAUTHORIZED_GEOFENCE', 'Only the creator or circle owner can change this geofence');
+        return null;
+      }
+    }
+
+    return geofence;
+  }
+
+  validateGeofence(data) {
+    if (!data.name || typeof data.name !== 'string' || data.name.length > this.config.maxNameLength) {
+      return {
+        valid: false,
+        code: 'INVALID_GEOFENCE',
+        message: 'Geofence name is required',
+        details: `Name must be between 1 and ${this.config.maxNameLength} characters`
+      };
+    }
+
+    if (data.shape === 'circle') {
+      if (!isValidCoordinate(data.center)) {
+        return {
+          valid: false,
+          code: 'INVALID_GEOFENCE',
+          message: 'Invalid geofence center',
+          details: 'Center must have latitude between -90 and 90 and longitude between -180 and 180'
+        };
+      }
+
+      if (typeof data.radius !== 'number' ||
+          data.radius < this.config.minGeofenceRadius || data.radius > this.config.maxGeofenceRadius) {
+        return {
+          valid: false,
+          code: 'INVALID_GEOFENCE',
+          message: 'Invalid geofence radius',
+          details: `Radius must be between ${this.config.minGeofenceRadius} and ${this.config.maxGeofenceRadius} meters`
+        };
+      }
+
+      return { valid: true };
+    }
+
+    if (data.shape === 'polygon') {
+      if (!Array.isArray(data.points) || data.points.length < 3 ||
+          data.points.length > this.config.maxGeofencePoints || !data.points.every(isValidCoordinate)) {
+        return {
+          valid: false,
+          code: 'INVALID_GEOFENCE',
+          message: 'Invalid geofence polygon',
+          details: `Polygon must have between 3 and ${this.config.maxGeofencePoints} valid points`
+        };
+      }
+
+      return { valid: true };
+    }
+
+    return {
+      valid: false,
+      code: 'INVALID_GEOFENCE',
+      message: 'Invalid geofence shape',
+      details: 'Shape must be circle or polygon'
+    };
+  }
+
+  getGeofenceShape(data) {
+    if (data.shape === 'circle') {
+      return {
+        shape: 'circle',
+        center: { latitude: data.center.latitude, longitude: data.center.longitude },
+        radius: data.radius
+      };
+    }
+
+    return {
+      shape: 'polygon',
+      points: data.points.map(point => ({ latitude: point.latitude, longitude: point.longitude }))
+    };
+  }
+
+  // Load the geofences of a user or circle into the in-memory cache
+  async loadGeofences(ownerType, ownerId) {
+    const cacheKey = `${ownerType}:${ownerId}`;
+    if (!this.geofences.has(cacheKey)) {
+      const stored = await this.redis.getGeofences(ownerType, ownerId);
+      if (!this.geofences.has(cacheKey)) {
+        this.geofences.set(cacheKey, new Map(stored.map(geofence => [geofence.id, geofence])));
+      }
+    }
+    return this.geofences.get(cacheKey);
+  }
+
+  // Geofences owned by the user and by every circle they belong to
+  async getAccessibleGeofences(username) {
+    const geofences = Array.from((await this.loadGeofences('user', username)).values());
+    const circleIds = await this.loadUserCircles(username);
+
+    for (const circleId of circleIds) {
+      const circleGeofences = await this.loadGeofences('circle', circleId);
+      geofences.push(...circleGeofences.values());
+    }
+
+    return geofences;
+  }
+
+  // Emit enter/exit events for geofences whose inside/outside state changed
+  async evaluateGeofences(username, location) {
+    const geofences = await this.getAccessibleGeofences(username);
+    if (geofences.length === 0) {
+      return;
+    }
+
+    if (!this.geofenceStates.has(username)) {
+      const stored = await this.redis.getGeofenceStates(username);
+      this.geofenceStates.set(username, new Map(Object.entries(stored)));
+    }
+    const states = this.geofenceStates.get(username);
+
+    for (const geofence of geofences) {
+      const state = isInsideGeofence(location, geofence) ? 'inside' : 'outside';
+      const previous = states.get(geofence.id);
+      if (previous === state) {
+        continue;
+      }
+
+      states.set(geofence.id, state);
+      await this.redis.setGeofenceState(username, geofence.id, state);
+
+      // The first observation only records where the user is
+      if (!previous) {
+        continue;
+      }
+
+      console.log(`${username} ${state === 'inside' ? 'entered' : 'left'} geofence ${geofence.name}`);
+
+      const recipients = await this.getGeofenceViewers(geofence, username);
+      this.dispatch(recipients, {
+        type: state === 'inside' ? 'geofence_enter' : 'geofence_exit',
+        data: {
+          geofenceId: geofence.id,
+          geofenceName: geofence.name,
+          name: username,
+          latitude: location.latitude,
+          longitude: location.longitude,
+          timestamp: location.lastUpdate
+        }
+      });
+    }
+  }
+
+  // Geofence events go to the user and whoever may see their exact location;
+  // for circle geofences only to those viewers that are members of the circle
+  async getGeofenceViewers(geofence, username) {
+    const viewers = new Set([username]);
+    (await this.getLocationAudience(username)).forEach((precision, viewer) => {
+      if (precision === 'exact') {
+        viewers.add(viewer);
+      }
+    });
+
+    if (geofence.ownerType === 'circle') {
+      const circle = await this.getCircle(geofence.ownerId);
+      return Array.from(viewers).filter(viewer => viewer === username || (circle && circle.members.has(viewer)));
+    }
+
+    return Array.from(viewers);
+  }
+
+  async handleCreateProximityRule(ws, data) {
+    const validation = this.validateProximityRule(data);
+    if (!validation.valid) {
+      return this.sendError(ws, validation.code, validation.message, validation.details);
+    }
+
+    if (data.circleId) {
+      if (!await this.isCircleMember(data.circleId, ws.username)) {
+        return this.sendError(ws, 'NOT_A_MEMBER', 'Not a member of this circle');
+      }
+    } else {
+      for (const user of data.users) {
+        if (user !== ws.username && !await this.canViewUser(ws.username, user)) {
+          return this.sendError(ws, 'UNAUTHORIZED_USER', `Not allowed to view ${user}`);
+        }
+      }
+    }
+
+    const ownRules = await this.loadProximityRules('owner', ws.username);
+    if (ownRules.size >= this.config.maxProximityRulesPerUser) {
+      return this.sendError(ws, 'PROXIMITY_LIMIT_EXCEEDED',
+        `Maximum ${this.config.maxProximityRulesPerUser} proximity rules allowed per user`);
+    }
+
+    const rule = {
+      id: uuidv4(),
+      name: data.name || null,
+      owner: ws.username,
+      ...(data.circleId ? { circleId: data.circleId } : { users: [...data.users] }),
+      nearDistance: data.nearDistance === undefined ? null : data.nearDistance,
+      farDistance: data.farDistance === undefined ? null : data.farDistance,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.redis.saveProximityRule(rule);
+    for (const index of this.getProximityIndexes(rule)) {
+      const [indexType, indexId] = this.splitProximityIndex(index);
+      (await this.loadProximityRules(indexType, indexId)).set(rule.id, rule);
+    }
+
+    console.log(`Proximity rule ${rule.id} created by ${ws.username}`);
+
+    this.sendMessage(ws, {
+      type: 'proximity_rule_created',
+      data: rule
+    });
+
+    // Other instances load the seeded states along with the rule
+    await this.seedProximityStates(rule);
+    this.publishProximityUpdate(rule);
+  }
+
+  async sendProximityRulesList(ws) {
+    const rules = await this.loadProximityRules('owner', ws.username);
+
+    this.sendMessage(ws, {
+      type: 'proximity_rules_list',
+      data: Array.from(rules.values())
+    });
+  }
+
+  async handleDeleteProximityRule(ws, data) {
+    const rules = await this.loadProximityRules('owner', ws.username);
+    const rule = data.id && rules.get(data.id);
+    if (!rule) {
+      return this.sendError(ws, 'PROXIMITY_RULE_NOT_FOUND', 'Proximity rule not found');
+    }
+
+    await this.redis.deleteProximityRule(rule);
+    for (const index of this.getProximityIndexes(rule)) {
+      const [indexType, indexId] = this.splitProximityIndex(index);
+      (await this.loadProximityRules(indexType, indexId)).delete(rule.id);
+    }
+    this.proximityStates.delete(rule.id);
+    this.publishProximityUpdate(rule);
+
+    console.log(`Proximity rule ${rule.id} deleted by ${ws.username}`);
+
+    this.sendMessage(ws, {
+      type: 'proximity_rule_deleted',
+      data: { id: rule.id }
+    });
+  }
+
+  validateProximityRule(data) {
+    if (data.name !== undefined && (typeof data.name !== 'string' || data.name.length > this.config.maxNameLength)) {
+      return {
+        valid: false,
+        code: 'INVALID_PROXIMITY_RULE',
+        message: 'Invalid proximity rule name',
+        details: `Name must be at most ${this.config.maxNameLength} characters`
+      };
+    }
+
+    const isPair = Array.isArray(data.users) && data.users.length === 2 &&
+      data.users.every(user => typeof user === 'string' && user.length > 0 && user.length <= this.config.maxNameLength) &&
+      data.users[0] !== data.users[1];
+    if (Boolean(data.circleId) === Boolean(data.users) || (data.users && !isPair)) {
+      return {
+        valid: false,
+        code: 'INVALID_PROXIMITY_RULE',
+        message: 'Invalid proximity rule subject',
+        details: 'Provide either circleId or users with two different usernames'
+      };
+    }
+
+    for (const field of ['nearDistance', 'farDistance']) {
+      const value = data[field];
+      if (value !== undefined && (typeof value !== 'number' ||
+          value < this.config.minProximityDistance || value > this.config.maxProximityDistance)) {
+        return {
+          valid: false,
+          code: 'INVALID_PROXIMITY_RULE',
+          message: `Invalid ${field}`,
+          details: `${field} must be between ${this.config.minProximityDistance} and ${this.config.maxProximityDistance} meters`
+        };
+      }
+    }
+
+    if (data.nearDistance === undefined && data.farDistance === undefined) {
+      return {
+        valid: false,
+        code: 'INVALID_PROXIMITY_RULE',
+        message: 'A proximity threshold is required',
+        details: 'Provide nearDistance, farDistance or both'
+      };
+    }
+
+    if (data.nearDistance !== undefined && data.farDistance !== undefined && data.nearDistance >= data.farDistance) {
+      return {
+        valid: false,
+        code: 'INVALID_PROXIMITY_RULE',
+        message: 'Invalid proximity thresholds',
+        details: 'nearDistance must be smaller than farDistance'
+      };
+    }
+
+    return { valid: true };
+  }
+
+  // Cache keys a rule is listed under; mirrors the Redis indexes
+  getProximityIndexes(rule) {
+    const subjects = rule.circleId ? [`circle:${rule.circleId}`] : rule.users.map(user => `user:${user}`);
+    return [`owner:${rule.owner}`, ...subjects];
+  }
+
+  splitProximityIndex(index) {
+    const separator = index.indexOf(':');
+    return [index.slice(0, separator), index.slice(separator + 1)];
+  }
+
+  // Load the proximity rules of an owner, user or circle into the in-memory cache
+  async loadProximityRules(indexType, indexId) {
+    const cacheKey = `${indexType}:${indexId}`;
+    if (!this.proximityRules.has(cacheKey)) {
+      const stored = await this.redis.getProximityRules(indexType, indexId);
+      if (!this.proximityRules.has(cacheKey)) {
+        this.proximityRules.set(cacheKey, new Map(stored.map(rule => [rule.id, rule])));
+      }
+    }
+    return this.proximityRules.get(cacheKey);
+  }
+
+  // Next near/far state of a pair; once triggered, a state only clears after
+  // the distance moved back past the threshold by the hysteresis margin
+  getProximityState(rule, previous, distance) {
+    const margin = this.config.proximityHysteresis;
+    const isNear = rule.nearDistance !== null && distance <= rule.nearDistance;
+    const isFar = rule.farDistance !== null && distance >= rule.farDistance;
+
+    if (previous === 'near' && distance <= rule.nearDistance * (1 + margin)) {
+      return 'near';
+    }
+    if (previous === 'far' && distance >= rule.farDistance * (1 - margin)) {
+      return 'far';
+    }
+
+    return isNear ? 'near' : isFar ? 'far' : 'normal';
+  }
+
+  // Compare the updating user with the peers each relevant rule covers and
+  // alert the rule owner when a pair comes near or moves apart
+  async evaluateProximity(username, location) {
+    const rules = Array.from((await this.loadProximityRules('user', username)).values());
+    const circleIds = await this.loadUserCircles(username);
+    for (const circleId of circleIds) {
+      rules.push(...(await this.loadProximityRules('circle', circleId)).values());
+    }
+
+    for (const rule of rules) {
+      const peers = await this.getProximityRuleUsers(rule);
+
+      if (!this.proximityStates.has(rule.id)) {
+        const stored = await this.redis.getProximityStates(rule.id);
+        this.proximityStates.set(rule.id, new Map(Object.entries(stored)));
+      }
+      const states = this.proximityStates.get(rule.id);
+
+      for (const peer of peers) {
+        // Peers on other instances are known from the fixes delivered here
+        const peerLocation = this.positions.get(peer);
+        if (peer === username || !peerLocation) {
+          continue;
+        }
+
+        const pair = [username, peer].sort();
+        const pairKey = JSON.stringify(pair);
+        const distance = haversineDistance(location, peerLocation);
+        const previous = states.get(pairKey);
+        const state = this.getProximityState(rule, previous, distance);
+        if (previous === state) {
+          continue;
+        }
+
+        states.set(pairKey, state);
+        await this.redis.setProximityState(rule.id, pairKey, state);
+
+        // A pair seen for the first time is alerted like at rule creation
+        if (state !== 'normal') {
+          await this.sendProximityAlert(rule, pair, state, distance, location.lastUpdate);
+        }
+      }
+    }
+  }
+
+  async getProximityRuleUsers(rule) {
+    if (rule.circleId) {
+      const circle = await this.getCircle(rule.circleId);
+      return circle ? Array.from(circle.members) : [];
+    }
+    return rule.users;
+  }
+
+  // Record the current state of every pair of a new rule whose positions are
+  // known, alerting the owner about pairs that are already near or far apart.
+  // Pairs located later are alerted the same way when first evaluated.
+  async seedProximityStates(rule) {
+    const located = (await this.getProximityRuleUsers(rule))
+      .map(user => this.positions.get(user))
+      .filter(Boolean);
+    const states = new Map();
+    this.proximityStates.set(rule.id, states);
+
+    for (let i = 0; i < located.length; i++) {
+      for (let j = i + 1; j < located.length; j++) {
+        const pair = [located[i].name, located[j].name].sort();
+        const pairKey = JSON.stringify(pair);
+        const distance = haversineDistance(located[i], located[j]);
+        const state = this.getProximityState(rule, undefined, distance);
+
+        states.set(pairKey, state);
+        await this.redis.setProximityState(rule.id, pairKey, state);
+
+        if (state !== 'normal') {
+          const timestamp = [located[i].lastUpdate, located[j].lastUpdate].sort().pop();
+          await this.sendProximityAlert(rule, pair, state, distance, timestamp);
+        }
+      }
+    }
+  }
+
+  async sendProximityAlert(rule, pair, state, distance, timestamp) {
+    // Only alert owners who may still see both users exactly
+    if (!await this.canViewPair(rule.owner, pair)) {
+      return;
+    }
+
+    console.log(`${pair.join(' and ')} are ${state === 'near' ? 'near each other' : 'far apart'} (rule ${rule.id})`);
+
+    this.dispatch([rule.owner], {
+      type: 'proximity_alert',
+      data: {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        state,
+        users: pair,
+        distance: Math.round(distance),
+        threshold: state === 'near' ? rule.nearDistance : rule.farDistance,
+        timestamp
+      }
+    });
+  }
+
+  // Proximity alerts reveal distances, so they need exact access to both users
+  async canViewPair(viewer, pair) {
+    for (const user of pair) {
+      const access = await this.getViewAccess(viewer, user);
+      if (!access || access.precision !== 'exact') {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async handleNearbyRequest(ws, data) {
+    const query = this.parseNearbyQuery(data);
+    if (!query.valid) {
+      return this.sendError(ws, query.code, query.message, query.details);
+    }
+
+    this.sendMessage(ws, {
+      type: 'nearby_users',
+      data: await this.findNearbyUsers(ws.username, query)
+    });
+  }
+
+  parseNearbyQuery(params) {
+    const point = { latitude: params.latitude, longitude: params.longitude };
+    if (!isValidCoordinate(point)) {
+      return {
+        valid: false,
+        code: 'INVALID_LOCATION',
+        message: 'Invalid search location',
+        details: 'Latitude must be between -90 and 90 and longitude between -180 and 180'
+      };
+    }
+
+    const radius = params.radius === undefined ? this.config.defaultNearbyRadius : params.radius;
+    if (typeof radius !== 'number' || !(radius > 0) || radius > this.config.maxNearbyRadius) {
+      return {
+        valid: false,
+        code: 'INVALID_RADIUS',
+        message: 'Invalid search radius',
+        details: `Radius must be between 0 and ${this.config.maxNearbyRadius} meters`
+      };
+    }
+
+    const limit = params.limit === undefined ? this.config.defaultNearbyLimit : params.limit;
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.config.maxNearbyLimit) {
+      return {
+        valid: false,
+        code: 'INVALID_LIMIT',
+        message: 'Invalid limit',
+        details: `Limit must be an integer between 1 and ${this.config.maxNearbyLimit}`
+      };
+    }
+
+    return { valid: true, ...point, radius, limit, includeOffline: params.includeOffline === true };
+  }
+
+  // Users the viewer may see within the search radius, nearest first
+  async findNearbyUsers(viewer, query) {
+    const point = { latitude: query.latitude, longitude: query.longitude };
+
+    // Users are matched by the position they show the viewer, which for
+    // coarsened users may lie within the radius when the true one does not
+    const searchRadius = query.radius + MAX_COARSENING_ERROR;
+    let candidates = await this.redis.getNearbyUsers(point.latitude, point.longitude, searchRadius,
+      this.config.maxNearbyCandidates);
+    if (candidates === null) {
+      // Memory-only mode: search the positions known to this instance
+      candidates = this.positions.search(getBoundsAround(point, searchRadius))
+        .map(({ id, value }) => ({ name: id, distance: haversineDistance(point, value) }))
+        .filter(candidate => candidate.distance <= searchRadius)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, this.config.maxNearbyCandidates);
+    }
+
+    // Candidates come nearest first and are checked a page at a time until
+    // enough of them are visible to the viewer
+    const nearby = [];
+    for (let start = 0; start < candidates.length && nearby.length < query.limit; start += query.limit) {
+      const visible = new Map(); // username -> precision
+      for (const candidate of candidates.slice(start, start + query.limit)) {
+        const access = candidate.name !== viewer && await this.getViewAccess(viewer, candidate.name);
+        if (access) {
+          visible.set(candidate.name, access.precision);
+        }
+      }
+
+      const users = new Map((await this.getUsersWithStatus(Array.from(visible.keys())))
+        .map(user => [user.name, user]));
+
+      Array.from(visible)
+        .map(([name, precision]) => coarsenLocation(users.get(name) || this.positions.get(name), precision))
+        .filter(user => user && user.name && (query.includeOffline || user.connected))
+        .map(user => ({ ...user, distance: haversineDistance(point, user) }))
+        .filter(user => user.distance <= query.radius)
+        .forEach(user => nearby.push(user));
+    }
+
+    const users = nearby
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, query.limit)
+      .map(user => ({ ...user, distance: Math.round(user.distance) }));
+
+    return { ...point, radius: query.radius, users };
+  }
+
+  // Restrict location updates to a bounding box; sending a new box moves the
+  // viewport and reports users entering or leaving it
+  async handleSubscribeViewport(ws, data) {
+    const viewport = {
+      north: data.north,
+      south: data.south,
+      east: data.east,
+      west: data.west
+    };
+
+    if (!isValidBounds(viewport)) {
+      return this.sendError(ws, 'INVALID_VIEWPORT', 'Invalid viewport',
+        'north and south must be latitudes with south <= north, east and west longitudes');
+    }
+
+    // Coarsened positions may lie inside the viewport when the true ones do
+    // not, so search a margin around it and filter what each user shows
+    const inside = new Map();
+    for (const { id, value } of this.positions.search(expandBounds(viewport, MAX_COARSENING_ERROR))) {
+      const access = await this.getViewAccess(ws.username, id);
+      const location = access && coarsenLocation(value, access.precision);
+      if (location && isInsideBounds(location, viewport)) {
+        inside.set(id, location);
+      }
+    }
+
+    const previous = ws.viewportUsers || new Set();
+    ws.viewport = viewport;
+    ws.viewportUsers = new Set(inside.keys());
+
+    this.sendMessage(ws, {
+      type: 'viewport_subscribed',
+      data: viewport
+    });
+
+    previous.forEach(username => {
+      if (!inside.has(username)) {
+        this.sendMessage(ws, { type: 'viewport_leave', data: { name: username } });
+      }
+    });
+    inside.forEach((location, username) => {
+      if (!previous.has(username)) {
+        this.sendMessage(ws, { type: 'viewport_enter', data: location });
+      }
+    });
+  }
+
+  handleUnsubscribeViewport(ws) {
+    ws.viewport = null;
+    ws.viewportUsers = null;
+
+    this.sendMessage(ws, {
+      type: 'viewport_unsubscribed',
+      data: {}
+    });
+  }
+
+  async sendSharingSettings(ws) {
+    const settings = await this.loadOwnSharingSettings(ws.username);
+
+    this.sendMessage(ws, {
+      type: 'sharing_settings',
+      data: this.serializeSharingSettings(settings)
+    });
+  }
+
+  async handleSetGhostMode(ws, data) {
+    if (typeof data.enabled !== 'boolean') {
+      return this.sendError(ws, 'INVALID_SHARING', 'enabled must be a boolean');
+    }
+
+    const settings = await this.loadOwnSharingSettings(ws.username);
+    settings.ghost = data.enabled;
+
+    await this.redis.saveSharingPreferences(ws.username, settings);
+    this.publishSharingUpdate(ws.username);
+
+    console.log(`Ghost mode ${data.enabled ? 'enabled' : 'disabled'} for ${ws.username}`);
+    await this.sendSharingSettings(ws);
+  }
+
+  async handleSetSharingVisibility(ws, data) {
+    if (data.visibility !== 'circles' && data.visibility !== 'allowlist') {
+      return this.sendError(ws, 'INVALID_SHARING', 'Invalid sharing visibility',
+        'Visibility must be circles or allowlist');
+    }
+
+    const settings = await this.loadOwnSharingSettings(ws.username);
+    settings.visibility = data.visibility;
+
+    await this.redis.saveSharingPreferences(ws.username, settings);
+    this.publishSharingUpdate(ws.username);
+
+    await this.sendSharingSettings(ws);
+  }
+
+  async handleGrantAccess(ws, data) {
+    if (!data.username || typeof data.username !== 'string' ||
+        data.username.length > this.config.maxNameLength || data.username === ws.username) {
+      return this.sendError(ws, 'INVALID_SHARING', 'A username other than your own is required');
+    }
+
+    if (data.durationMinutes !== undefined &&
+        (typeof data.durationMinutes !== 'number' || data.durationMinutes <= 0 ||
+          data.durationMinutes > this.config.maxGrantDuration)) {
+      return this.sendError(ws, 'INVALID_SHARING', 'Invalid grant duration',
+        `durationMinutes must be greater than 0 and at most ${this.config.maxGrantDuration}`);
+    }
+
+    const now = Date.now();
+    const grant = {
+      grantedAt: new Date(now).toISOString(),
+      expiresAt: data.durationMinutes ? new Date(now + data.durationMinutes * 60000).toISOString() : null
+    };
+
+    const settings = await this.loadOwnSharingSettings(ws.username);
+    settings.grants[data.username] = grant;
+
+    await this.redis.addSharingGrant(ws.username, data.username, grant);
+    this.publishSharingUpdate(ws.username);
+
+    console.log(`${ws.username} shared their location with ${data.username} until ${grant.expiresAt || 'revoked'}`);
+
+    this.dispatch([data.username], {
+      type: 'access_granted',
+      data: { name: ws.username, expiresAt: grant.expiresAt }
+    });
+
+    await this.sendSharingSettings(ws);
+  }
+
+  async handleRevokeAccess(ws, data) {
+    const settings = await this.loadOwnSharingSettings(ws.username);
+    if (!data.username || !settings.grants[data.username]) {
+      return this.sendError(ws, 'GRANT_NOT_FOUND', 'No access grant for this user');
+    }
+
+    delete settings.grants[data.username];
+
+    await this.redis.removeSharingGrant(ws.username, data.username);
+    this.publishSharingUpdate(ws.username);
+
+    this.dispatch([data.username], {
+      type: 'access_revoked',
+      data: { name: ws.username }
+    });
+
+    await this.sendSharingSettings(ws);
+  }
+
+  // Set the precision a viewer or the members of a circle see the user with
+  async handleSetPrecision(ws, data) {
+    if (!isPrecisionLevel(data.level)) {
+      return this.sendError(ws, 'INVALID_PRECISION', 'Invalid precision level',
+        'Level must be exact, street, city or hidden');
+    }
+
+    const target = await this.parsePrecisionTarget(ws.username, data);
+    if (!target.valid) {
+      return this.sendError(ws, target.code, target.message, target.details);
+    }
+
+    const settings = await this.loadOwnSharingSettings(ws.username);
+    settings.precision[target.scope][target.id] = data.level;
+
+    await this.redis.setSharingPrecision(ws.username, target.field, data.level);
+    this.publishSharingUpdate(ws.username);
+
+    console.log(`${ws.username} shares ${data.level} locations with ${target.field}`);
+    await this.sendSharingSettings(ws);
+  }
+
+  async handleClearPrecision(ws, data) {
+    const target = await this.parsePrecisionTarget(ws.username, data);
+    if (!target.valid) {
+      return this.sendError(ws, target.code, target.message, target.details);
+    }
+
+    const settings = await this.loadOwnSharingSettings(ws.username);
+    if (!settings.precision[target.scope][target.id]) {
+      return this.sendError(ws, 'PRECISION_NOT_FOUND', `No precision set for ${target.field}`);
+    }
+
+    delete settings.precision[target.scope][target.id];
+
+    await this.redis.removeSharingPrecision(ws.username, target.field);
+    this.publishSharingUpdate(ws.username);
+
+    await this.sendSharingSettings(ws);
+  }
+
+  // A precision setting applies to exactly one viewer or one of the user's circles
+  async parsePrecisionTarget(username, data) {
+    if (Boolean(data.username) === Boolean(data.circleId)) {
+      return {
+        valid: false,
+        code: 'INVALID_PRECISION',
+        message: 'Invalid precision target',
+        details: 'Exactly one of username or circleId is required'
+      };
+    }
+
+    if (data.username) {
+      if (data.username.length > this.config.maxNameLength || data.username === username) {
+        return { valid: false, code: 'INVALID_PRECISION', message: 'A username other than your own is required' };
+      }
+      return { valid: true, scope: 'users', id: data.username, field: `user:${data.username}` };
+    }
+
+    if (!await this.isCircleMember(data.circleId, username)) {
+      return { valid: false, code: 'NOT_A_MEMBER', message: 'Not a member of this circle' };
+    }
+    return { valid: true, scope: 'circles', id: data.circleId, field: `circle:${data.circleId}` };
+  }
+
+  // Load a user's sharing settings into the in-memory cache. While Redis
+  // cannot answer the user is hidden from everyone and nothing is cached.
+  async loadSharingSettings(username) {
+    if (!this.sharingSettings.has(username)) {
+      const stored = await this.redis.getSharingSettings(username);
+      if (this.sharingSettings.has(username)) {
+        return this.sharingSettings.get(username);
+      }
+      if (!stored) {
+        console.warn(`⚠️ Sharing settings of ${username} unavailable, hiding their location`);
+        return {
+          ghost: true,
+          visibility: 'allowlist',
+          grants: {},
+          precision: { users: {}, circles: {} },
+          unavailable: true
+        };
+      }
+      this.sharingSettings.set(username, stored);
+    }
+    return this.sharingSettings.get(username);
+  }
+
+  // Sharing settings that are shown to or changed by their owner. The hidden
+  // stand-in used while Redis cannot answer must never be shown or saved.
+  async loadOwnSharingSettings(username) {
+    const settings = await this.loadSharingSettings(username);
+    if (settings.unavailable) {
+      throw new Error('Sharing settings are temporarily unavailable');
+    }
+    return settings;
+  }
+
+  // Users that granted a viewer access, including grants only held in memory
+  async getSharingGrantors(viewer) {
+    const grantors = new Set(await this.redis.getSharingGrantors(viewer));
+    this.sharingSettings.forEach((settings, username) => {
+      if (settings.grants[viewer]) {
+        grantors.add(username);
+      }
+    });
+    return grantors;
+  }
+
+  // Users that set a precision for a viewer
+  async getPrecisionSetters(viewer) {
+    const setters = new Set(await this.redis.getPrecisionSetters(viewer));
+    this.sharingSettings.forEach((settings, username) => {
+      if (settings.precision.users[viewer]) {
+        setters.add(username);
+      }
+    });
+    return setters;
+  }
+
+  isGrantActive(grant) {
+    return Boolean(grant) && (!grant.expiresAt || new Date(grant.expiresAt).getTime() > Date.now());
+  }
+
+  serializeSharingSettings(settings) {
+    return {
+      ghost: settings.ghost,
+      visibility: settings.visibility,
+      grants: Object.entries(settings.grants)
+        .filter(([, grant]) => this.isGrantActive(grant))
+        .map(([username, grant]) => ({ username, ...grant })),
+      precision: {
+        users: Object.entries(settings.precision.users).map(([username, level]) => ({ username, level })),
+        circles: Object.entries(settings.precision.circles).map(([circleId, level]) => ({ circleId, level }))
+      }
+    };
+  }
+
+  // Whether a viewer may see a user's location. Returns null without access;
+  // `since` limits the visible history for viewers that only hold a grant and
+  // `precision` is the level the viewer's coordinates are coarsened to.
+  async getViewAccess(viewer, username) {
+    if (viewer === username) {
+      return { since: null, precision: 'exact' };
+    }
+
+    const settings = await this.loadSharingSettings(username);
+    if (settings.ghost) {
+      return null;
+    }
+
+    const circleLevels = settings.visibility === 'circles'
+      ? await this.getCirclePrecisions(username, settings)
+      : new Map();
+    const grant = settings.grants[viewer];
+    const granted = this.isGrantActive(grant);
+    if (!circleLevels.has(viewer) && !granted) {
+      return null;
+    }
+
+    const precision = this.getViewerPrecision(settings, viewer, circleLevels.get(viewer), granted);
+    if (precision === 'hidden') {
+      return null;
+    }
+
+    return {
+      since: circleLevels.has(viewer) ? null : new Date(grant.grantedAt).getTime(),
+      precision
+    };
+  }
+
+  // Circle peers of a user with the most precise level of the circles they
+  // share; circles without a setting give exact coordinates
+  async getCirclePrecisions(username, settings) {
+    const levels = new Map();
+
+    for (const circleId of await this.loadUserCircles(username)) {
+      const circle = await this.getCircle(circleId);
+      if (!circle) {
+        continue;
+      }
+
+      const level = settings.precision.circles[circleId] || 'exact';
+      circle.members.forEach(member => {
+        if (member !== username) {
+          levels.set(member, mostPrecise([level, levels.get(member)].filter(Boolean)));
+        }
+      });
+    }
+
+    return levels;
+  }
+
+  // A setting for the viewer wins over their circles; a grant gives exact
+  // coordinates unless the viewer has a setting of their own
+  getViewerPrecision(settings, viewer, circleLevel, granted) {
+    return settings.precision.users[viewer] ||
+      mostPrecise([circleLevel, granted ? 'exact' : null].filter(Boolean));
+  }
+
+  async canViewUser(viewer, username) {
+    return Boolean(await this.getViewAccess(viewer, username));
+  }
+
+  // Users that currently receive a user's location updates, mapped to the
+  // precision they receive them with
+  async getLocationAudience(username) {
+    const settings = await this.loadSharingSettings(username);
+    if (settings.ghost) {
+      return new Map();
+    }
+
+    const circleLevels = settings.visibility === 'circles'
+      ? await this.getCirclePrecisions(username, settings)
+      : new Map();
+    const viewers = new Set(circleLevels.keys());
+    Object.entries(settings.grants).forEach(([viewer, grant]) => {
+      if (this.isGrantActive(grant)) {
+        viewers.add(viewer);
+      }
+    });
+
+    const audience = new Map();
+    viewers.forEach(viewer => {
+      const granted = this.isGrantActive(settings.grants[viewer]);
+      const precision = this.getViewerPrecision(settings, viewer, circleLevels.get(viewer), granted);
+      if (viewer !== username && precision !== 'hidden') {
+        audience.set(viewer, precision);
+      }
+    });
+    return audience;
+  }
+
+  limitHistoryRange(access, startTime, endTime) {
+    if (!access.since) {
+      return { startTime, endTime };
+    }
+
+    return {
+      startTime: Math.max(startTime || 0, access.since),
+      endTime: endTime || Date.now()
+    };
+  }
+
+  async handleCreateShareLink(ws, data) {
+    const durationMinutes = data.durationMinutes === undefined
+      ? this.config.defaultShareLinkDuration
+      : data.durationMinutes;
+
+    if (typeof durationMinutes !== 'number' || durationMinutes <= 0 ||
+        durationMinutes > this.config.maxShareLinkDuration) {
+      return this.sendError(ws, 'INVALID_SHARE_LINK', 'Invalid share link duration',
+        `durationMinutes must be greater than 0 and at most ${this.config.maxShareLinkDuration}`);
+    }
+
+    const now = Date.now();
+    const link = {
+      token: crypto.randomBytes(24).toString('hex'),
+      username: ws.username,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + durationMinutes * 60000).toISOString()
+    };
+
+    await this.redis.createShareLink(link);
+    (await this.loadShareLinks(ws.username)).set(link.token, link);
+    this.publishShareLinksUpdate(ws.username);
+
+    console.log(`${ws.username} created a share link valid until ${link.expiresAt}`);
+
+    this.sendMessage(ws, {
+      type: 'share_link_created',
+      data: link
+    });
+  }
+
+  async sendShareLinksList(ws) {
+    const links = await this.loadShareLinks(ws.username);
+
+    this.sendMessage(ws, {
+      type: 'share_links_list',
+      data: Array.from(links.values()).filter(link => this.isShareLinkActive(link))
+    });
+  }
+
+  async handleRevokeShareLink(ws, data) {
+    const links = await this.loadShareLinks(ws.username);
+    const link = data.token && links.get(data.token);
+    if (!link) {
+      return this.sendError(ws, 'SHARE_LINK_NOT_FOUND', 'Share link not found');
+    }
+
+    await this.redis.revokeShareLink(link);
+    links.delete(link.token);
+    this.publishShareLinksUpdate(ws.username, link.token);
+    this.closeShareViewers(link.token, 'SHARE_LINK_REVOKED', 'Share link has been revoked');
+
+    console.log(`${ws.username} revoked a share link`);
+
+    this.sendMessage(ws, {
+      type: 'share_link_revoked',
+      data: { token: link.token }
+    });
   }
 
-  async handleLocationUpdate(ws, data) {
-    // Validate required fields
-    const validation = this.validateLocationData(data);
-    if (!validation.valid) {
-      return this.sendError(ws, validation.code, validation.message, validation.details);
+  // Load a user's share links into the in-memory cache
+  async loadShareLinks(username) {
+    if (!this.shareLinks.has(username)) {
+      const stored = await this.redis.getUserShareLinks(username);
+      if (!this.shareLinks.has(username)) {
+        this.shareLinks.set(username, new Map(stored.map(link => [link.token, link])));
+      }
     }
+    return this.shareLinks.get(username);
+  }
 
-    // Check rate limiting
-    if (this.isRateLimited(data.name)) {
-      return this.sendError(ws, 'RATE_LIMITED', 'Location updates too frequent', 
-        `Minimum interval is ${this.config.locationUpdateInterval}ms`);
-    }
+  // Resolve a share link token, returning null once it expired or was revoked
+  async getActiveShareLink(token) {
+    let link = await this.redis.getShareLink(token);
 
-    // Check user limit
-    if (!this.users.has(data.name) && this.users.size >= this.config.maxUsers) {
-      return this.sendError(ws, 'USER_LIMIT_EXCEEDED', 
-        `Maximum ${this.config.maxUsers} users allowed`);
+    // Fall back to links created while running in memory-only mode
+    if (!link) {
+      for (const links of this.shareLinks.values()) {
+        if (links.has(token)) {
+          link = links.get(token);
+          break;
+        }
+      }
     }
 
-    // Update rate limit tracker
-    this.userRateLimit.set(data.name, Date.now());
+    return link && this.isShareLinkActive(link) ? link : null;
+  }
 
-    // Store/update user data
-    const userData = {
-      name: data.name,
-      latitude: data.latitude,
-      longitude: data.longitude,
-      lastUpdate: data.lastUpdate || new Date().toISOString()
-    };
+  isShareLinkActive(link) {
+    return new Date(link.expiresAt).getTime() > Date.now();
+  }
 
-    const isNewUser = !this.users.has(data.name);
-    this.users.set(data.name, userData);
-    this.connections.set(data.name, ws);
-    ws.username = data.name;
+  // Accept a read-only viewer connection for a valid share link
+  upgradeShareViewer(res, req, context, shareToken, negotiated, remoteAddress) {
+    // Request data is only accessible synchronously, before any await
+    const key = req.getHeader('sec-websocket-key');
+    const extensions = req.getHeader('sec-websocket-extensions');
 
-    // Store in Redis for persistence
-    await this.redis.storeUserLocation(data.name, userData);
+    res.aborted = false;
+    res.onAborted(() => {
+      res.aborted = true;
+    });
 
-    console.log(`${isNewUser ? 'New' : 'Updated'} user location:`, userData);
+    const token = this.decodePathParameter(shareToken);
+    (token === null ? Promise.resolve(null) : this.getActiveShareLink(token))
+      .then(link => {
+        if (res.aborted) {
+          return;
+        }
 
-    // Broadcast to all other connected clients
-    this.broadcastToOthers(data.name, {
-      type: 'user_location',
+        if (!link) {
+          console.warn('Rejected share link viewer: invalid or expired link');
+          return this.sendHttpError(res, '401 Unauthorized', 'INVALID_SHARE_LINK', 'Share link is invalid or has expired');
+        }
+
+        res.cork(() => {
+          res.upgrade(
+            {
+              role: 'viewer',
+              shareToken: link.token,
+              sharedUser: link.username,
+              expiresAt: link.expiresAt,
+              encoding: negotiated.encoding,
+              remoteAddress
+            },
+            key,
+            negotiated.protocol,
+            extensions,
+            context
+          );
+        });
+      })
+      .catch(error => {
+        console.error('Error validating share link:', error);
+        this.sendHttpError(res, '500 Internal Server Error', 'INTERNAL_ERROR', 'Failed to validate share link', error.message);
+      });
+  }
+
+  openShareViewer(ws) {
+    const { shareToken, sharedUser, expiresAt, encoding } = ws.getUserData();
+    ws.role = 'viewer';
+    ws.encoding = encoding;
+    ws.shareToken = shareToken;
+    ws.sharedUser = sharedUser;
+    this.trackConnection(ws);
+
+    if (!this.shareViewers.has(shareToken)) {
+      this.shareViewers.set(shareToken, new Set());
+    }
+    this.shareViewers.get(shareToken).add(ws);
+
+    // Disconnect the viewer as soon as the link expires
+    ws.expiryTimer = setTimeout(() => {
+      this.sendError(ws, 'SHARE_LINK_EXPIRED', 'Share link has expired');
+      ws.end(1000, 'Share link expired');
+    }, new Date(expiresAt).getTime() - Date.now());
+
+    console.log(`Share link viewer connected for ${sharedUser}`);
+
+    this.sendMessage(ws, {
+      type: 'connected',
       data: {
-        ...userData,
-        connected: true  // User is connected since they're sending location updates
+        message: `Viewing live location of ${sharedUser}`,
+        serverId: this.serverId,
+        encoding,
+        viewer: { name: sharedUser, expiresAt },
+        timestamp: new Date().toISOString()
       }
     });
+
+    // Start with the latest known position
+    this.loadSharingSettings(sharedUser)
+      .then(settings => (settings.ghost ? [] : this.getUsersWithStatus([sharedUser])))
+      .then(users => {
+        if (users.length > 0) {
+          this.sendMessage(ws, { type: 'user_location', data: users[0] });
+        }
+      })
+      .catch(error => console.error('Error sending shared location:', error));
   }
 
-  handleUserDisconnectRequest(ws, data) {
-    if (!data.name) {
-      return this.sendError(ws, 'INVALID_DISCONNECT', 'Username required for disconnect');
-    }
+  closeShareViewer(ws) {
+    clearTimeout(ws.expiryTimer);
 
-    if (ws.username === data.name) {
-      this.handleUserDisconnect(data.name);
-      ws.close();
-    } else {
-      this.sendError(ws, 'UNAUTHORIZED_DISCONNECT', 'Can only disconnect your own session');
+    const viewers = this.shareViewers.get(ws.shareToken);
+    if (viewers) {
+      viewers.delete(ws);
+      if (viewers.size === 0) {
+        this.shareViewers.delete(ws.shareToken);
+      }
     }
   }
 
-  async handleUserDisconnect(username) {
-    const user = this.users.get(username);
-    if (user) {
-      console.log('User disconnected:', user);
-      
-      // Remove from in-memory storage
-      this.users.delete(username);
-      this.connections.delete(username);
-      this.userRateLimit.delete(username);
-
-      // Note: We don't remove from Redis on disconnect to maintain persistence
-      // The TTL will handle cleanup of old data
-
-      // Notify all other clients
-      // this.broadcastToAll({
-      //   type: 'user_disconnected',
-      //   data: {
-      //     name: user.name
-      //   }
-      // });
+  // Disconnect every local viewer of a share link
+  closeShareViewers(token, code, message) {
+    const viewers = this.shareViewers.get(token);
+    if (!viewers) {
+      return;
     }
+
+    Array.from(viewers).forEach(ws => {
+      this.sendError(ws, code, message);
+      ws.end(1000, message);
+    });
   }
 
-  validateLocationData(data) {
-    // Check required fields
-    if (!data.name || typeof data.name !== 'string') {
-      return { valid: false, code: 'INVALID_NAME', message: 'Name is required and must be a string' };
+  // Stream a location update to viewers of the user's active share links
+  async broadcastToShareViewers(username, message) {
+    const links = Array.from((await this.loadShareLinks(username)).values())
+      .filter(link => this.isShareLinkActive(link));
+    if (links.length === 0) {
+      return;
     }
 
-    if (data.name.length === 0 || data.name.length > this.config.maxNameLength) {
-      return { 
-        valid: false, 
-        code: 'INVALID_NAME', 
-        message: 'Name must be between 1 and 50 characters',
-        details: `Name length: ${data.name.length}, max: ${this.config.maxNameLength}`
-      };
+    const settings = await this.loadSharingSettings(username);
+    if (settings.ghost) {
+      return;
     }
 
-    if (typeof data.latitude !== 'number' || data.latitude < -90 || data.latitude > 90) {
-      return { 
-        valid: false, 
-        code: 'INVALID_LOCATION', 
-        message: 'Invalid latitude value',
-        details: 'Latitude must be between -90 and 90'
-      };
-    }
+    this.deliverToShareViewers(username, message);
+    this.redis.publishEvent({
+      serverId: this.serverId,
+      kind: 'share_location',
+      username,
+      message
+    });
+  }
 
-    if (typeof data.longitude !== 'number' || data.longitude < -180 || data.longitude > 180) {
-      return { 
-        valid: false, 
-        code: 'INVALID_LOCATION', 
-        message: 'Invalid longitude value',
-        details: 'Longitude must be between -180 and 180'
-      };
-    }
+  deliverToShareViewers(username, message) {
+    this.shareViewers.forEach(viewers => {
+      viewers.forEach(ws => {
+        if (ws.sharedUser === username) {
+          this.sendMessage(ws, message);
+        }
+      });
+    });
+  }
 
-    // Check if location update is too old (optional validation)
-    if (data.lastUpdate) {
-      const updateTime = new Date(data.lastUpdate).getTime();
-      const now = Date.now();
-      if (now - updateTime > this.config.userTimeout) {
-        return {
-          valid: false,
-          code: 'STALE_LOCATION',
-          message: 'Location update is too old',
-          details: `Update is ${Math.floor((now - updateTime) / 1000)} seconds old`
-        };
-      }
-    }
+  publishShareLinksUpdate(username, revokedToken = null) {
+    this.redis.publishEvent({
+      serverId: this.serverId,
+      kind: 'share_links_updated',
+      username,
+      revokedToken
+    });
+  }
 
-    return { valid: true };
+  publishSharingUpdate(username) {
+    this.redis.publishEvent({
+      serverId: this.serverId,
+      kind: 'sharing_updated',
+      username
+    });
   }
 
-  isRateLimited(username) {
-    const lastUpdate = this.userRateLimit.get(username);
-    if (!lastUpdate) return false;
-    
-    return (Date.now() - lastUpdate) < this.config.locationUpdateInterval;
+  async isCircleMember(circleId, username) {
+    const circle = await this.getCircle(circleId);
+    return Boolean(circle && circle.members.has(username));
   }
 
-  async sendUsersList(ws) {
-    try {
-      // Get all users from Redis (including disconnected ones)
-      const allUsers = await this.redis.getAllUsersWithLocations();
-      
-      // Merge with in-memory users (connected ones)
-      const connectedUsers = Array.from(this.users.values());
-      const connectedUsernames = new Set(connectedUsers.map(u => u.name));
-      
-      // Add connection status to users
-      const usersWithStatus = allUsers.map(user => ({
-        ...user,
-        connected: connectedUsernames.has(user.name)
-      }));
-      
-      this.sendMessage(ws, {
-        type: 'users_list',
-        data: usersWithStatus
-      });
-    } catch (error) {
-      console.error('Error sending users list:', error);
-      // Fallback to in-memory users only
-      const usersList = Array.from(this.users.values()).map(user => ({
-        ...user,
-        connected: true  // All in-memory users are connected
-      }));
-      this.sendMessage(ws, {
-        type: 'users_list',
-        data: usersList
-      });
-    }
+  publishGeofenceUpdate(geofence, deleted = false) {
+    this.redis.publishEvent({
+      serverId: this.serverId,
+      kind: 'geofence_updated',
+      ownerType: geofence.ownerType,
+      ownerId: geofence.ownerId,
+      ...(deleted && { deletedId: geofence.id })
+    });
   }
 
-  async handleLocationHistoryRequest(ws, data) {
-    if (!data || !data.username) {
-      return this.sendError(ws, 'MISSING_USERNAME', 'Username is required for location history');
+  publishProximityUpdate(rule) {
+    this.redis.publishEvent({
+      serverId: this.serverId,
+      kind: 'proximity_updated',
+      ruleId: rule.id,
+      indexes: this.getProximityIndexes(rule)
+    });
+  }
+
+  // Tell other instances to drop their cached copy of a circle
+  publishCircleUpdate(circleId, username) {
+    this.redis.publishEvent({
+      serverId: this.serverId,
+      kind: 'circle_updated',
+      circleId,
+      username
+    });
+  }
+
+  // Handle an event published by another server instance
+  handleClusterEvent(event) {
+    if (event.serverId === this.serverId) {
+      return;
     }
 
-    try {
-      const startTime = data.startTime ? new Date(data.startTime).getTime() : null;
-      const endTime = data.endTime ? new Date(data.endTime).getTime() : null;
-      
-      const history = await this.redis.getUserLocationHistory(data.username, startTime, endTime);
-      
-      this.sendMessage(ws, {
-        type: 'location_history',
-        data: {
-          username: data.username,
-          history: history
+    switch (event.kind) {
+      case 'deliver': {
+        // Users of other instances are indexed until they go offline there.
+        // Only exact fixes are indexed: a coarsened copy would be served,
+        // coarsened again, to viewers allowed to see more.
+        const { type, data } = event.message;
+        if (type === 'user_location' && !data.precision) {
+          this.positions.set(data.name, data, data);
+        } else if (type === 'presence' && data.status === 'offline' && !this.users.has(data.name)) {
+          this.positions.remove(data.name);
         }
-      });
-    } catch (error) {
-      console.error('Error retrieving location history:', error);
-      this.sendError(ws, 'HISTORY_ERROR', 'Failed to retrieve location history', error.message);
+
+        // Numbered in this instance's own sequence for its clients
+        const message = this.eventLog.append(event.recipients, event.message);
+        event.recipients.forEach(username => {
+          const ws = this.connections.get(username);
+          if (ws) {
+            this.deliverLocal(ws, message);
+          }
+        });
+        break;
+      }
+
+      case 'circle_updated':
+        // Reloaded lazily from Redis on next use
+        this.circles.delete(event.circleId);
+        this.userCircles.delete(event.username);
+        break;
+
+      case 'geofence_updated':
+        this.geofences.delete(`${event.ownerType}:${event.ownerId}`);
+        if (event.deletedId) {
+          this.geofenceStates.forEach(states => states.delete(event.deletedId));
+        }
+        break;
+
+      case 'sharing_updated':
+        this.sharingSettings.delete(event.username);
+        break;
+
+      case 'proximity_updated':
+        event.indexes.forEach(index => this.proximityRules.delete(index));
+        this.proximityStates.delete(event.ruleId);
+        break;
+
+      case 'share_location':
+        this.deliverToShareViewers(event.username, event.message);
+        break;
+
+      case 'admin_disconnect':
+        this.disconnectLocal(event.target, 'DISCONNECTED_BY_ADMIN', 'Disconnected by an administrator');
+        break;
+
+      case 'bans_updated':
+        this.loadBans()
+          .then(() => {
+            if (event.target) {
+              this.disconnectLocal(event.target, 'BANNED', 'You have been banned', 1008);
+            }
+          })
+          .catch(error => console.error('Error reloading bans:', error));
+        break;
+
+      case 'announcement':
+        this.announceLocally(event.message);
+        break;
+
+      case 'user_erased':
+        this.forgetUser(event.username, event.shareLinks);
+        event.circleIds.forEach(circleId => {
+          // Reloaded lazily from Redis on next use
+          this.circles.delete(circleId);
+          this.geofences.delete(`circle:${circleId}`);
+          const rules = this.proximityRules.get(`circle:${circleId}`);
+          if (rules) {
+            rules.forEach(rule => this.forgetProximityPairs(rule.id, event.username));
+          }
+        });
+        this.disconnectLocal({ type: 'username', value: event.username }, 'ACCOUNT_ERASED', 'Your data has been erased');
+        break;
+
+      case 'user_purged':
+        this.purgeLocal(event.username);
+        break;
+
+      case 'share_links_updated':
+        this.shareLinks.delete(event.username);
+        if (event.revokedToken) {
+          this.closeShareViewers(event.revokedToken, 'SHARE_LINK_REVOKED', 'Share link has been revoked');
+        }
+        break;
+
+      default:
+        console.warn(`Unknown cluster event from ${event.serverId}: ${event.kind}`);
     }
   }
 
+  generateInviteCode() {
+    return crypto.randomBytes(5).toString('hex').toUpperCase();
+  }
+
+  serializeCircle(circle) {
+    return {
+      id: circle.id,
+      name: circle.name,
+      owner: circle.owner,
+      inviteCode: circle.inviteCode,
+      createdAt: circle.createdAt,
+      members: Array.from(circle.members)
+    };
+  }
+
   sendMessage(ws, message) {
+    // Replies to a request echo its requestId
+    const request = this.requestContext.getStore();
+    if (request && request.ws === ws && request.requestId !== undefined) {
+      message = { ...message, requestId: request.requestId };
+    }
+
     try {
       if (ws.readyState === uWS.OPEN) {
-        ws.send(JSON.stringify(message));
+        const encoding = isEncoding(ws.encoding) ? ws.encoding : DEFAULT_ENCODING;
+        const result = ws.send(this.encodeMessage(message, encoding), ENCODINGS[encoding].binary);
+
+        // uWS reports 2 when the message was dropped due to backpressure
+        if (result === 2) {
+          this.metrics.backpressureDrops.inc({ type: message.type });
+        } else {
+          this.metrics.messagesSent.inc({ type: message.type });
+          ws.messagesSent++;
+        }
       }
     } catch (error) {
       console.error('Error sending message:', error);
     }
   }
 
+  // Encode a message once per encoding, however many sockets it fans out to
+  encodeMessage(message, encoding) {
+    let encoded = this.encodedMessages.get(message);
+    if (!encoded) {
+      encoded = {};
+      this.encodedMessages.set(message, encoded);
+    }
+    if (encoded[encoding] === undefined) {
+      encoded[encoding] = ENCODINGS[encoding].encode(message);
+    }
+    return encoded[encoding];
+  }
+
   sendError(ws, code, message, details = null) {
+    this.metrics.errors.inc({ code });
     this.sendMessage(ws, {
       type: 'error',
       data: {
@@ -364,14 +3838,78 @@ class LocationServer {
     });
   }
 
-  broadcastToOthers(excludeUsername, message) {
-    this.connections.forEach((ws, username) => {
-      if (username !== excludeUsername) {
+  // Deliver a message to users connected to this or any other instance
+  dispatch(recipients, message) {
+    const remote = [];
+    this.metrics.fanout.observe({ type: message.type }, Array.isArray(recipients) ? recipients.length : recipients.size);
+
+    // Logged for every recipient, so users who are offline right now can
+    // have it replayed when they resume
+    const event = this.eventLog.append(recipients, message);
+
+    // Fan-out is not a reply, even when it reaches the socket that sent the request
+    this.requestContext.exit(() => {
+      recipients.forEach(username => {
+        const ws = this.connections.get(username);
+        if (ws) {
+          this.deliverLocal(ws, event);
+        } else {
+          remote.push(username);
+        }
+      });
+    });
+
+    if (remote.length > 0) {
+      this.redis.publishEvent({
+        serverId: this.serverId,
+        kind: 'deliver',
+        recipients: remote,
+        message
+      });
+    }
+  }
+
+  // Send a message to a local socket; location updates are filtered by the
+  // socket's viewport subscription, if any
+  deliverLocal(ws, message) {
+    if (message.type !== 'user_location' || !ws.viewport) {
+      return this.sendMessage(ws, message);
+    }
+
+    const location = message.data;
+    const wasInside = ws.viewportUsers.has(location.name);
+
+    if (isInsideBounds(location, ws.viewport)) {
+      if (wasInside) {
         this.sendMessage(ws, message);
+      } else {
+        ws.viewportUsers.add(location.name);
+        this.sendMessage(ws, { type: 'viewport_enter', data: location });
       }
+    } else if (wasInside) {
+      ws.viewportUsers.delete(location.name);
+      this.sendMessage(ws, { type: 'viewport_leave', data: { name: location.name } });
+    }
+  }
+
+  // Send a message to everyone currently allowed to see the user, with the
+  // coordinates coarsened to each viewer's precision
+  async broadcastToViewers(username, message) {
+    const groups = new Map(); // precision -> viewers
+    (await this.getLocationAudience(username)).forEach((precision, viewer) => {
+      groups.set(precision, [...(groups.get(precision) || []), viewer]);
+    });
+
+    groups.forEach((viewers, precision) => {
+      this.dispatch(viewers, { ...message, data: coarsenLocation(message.data, precision) });
     });
   }
 
+  broadcastToCircle(circle, excludeUsername, message) {
+    const members = Array.from(circle.members).filter(member => member !== excludeUsername);
+    this.dispatch(members, message);
+  }
+
   broadcastToAll(message) {
     this.connections.forEach((ws) => {
       this.sendMessage(ws, message);
@@ -379,8 +3917,8 @@ class LocationServer {
   }
 
   startCleanupTimer() {
-    // Clean up stale user data every 30 seconds
-    setInterval(async () => {
+    // Clean up stale user data periodically
+    setInterval(() => this.metrics.cleanupDuration.time({}, async () => {
       const now = Date.now();
       const staleUsers = [];
 
@@ -400,12 +3938,57 @@ class LocationServer {
         console.log(`Cleaned up ${staleUsers.length} stale user(s)`);
       }
 
+      // Positions of users on other instances that stopped reporting them
+      const stalePositions = [];
+      this.positions.forEach((location, username) => {
+        if (!this.users.has(username) && now - new Date(location.lastUpdate).getTime() > this.config.userTimeout) {
+          stalePositions.push(username);
+        }
+      });
+      stalePositions.forEach(username => this.positions.remove(username));
+
+      // Drop expired bans
+      for (const ban of this.bans.values()) {
+        if (!this.isBanActive(ban)) {
+          this.bans.delete(`${ban.type}:${ban.value}`);
+          await this.redis.removeBan(ban.type, ban.value);
+        }
+      }
+
+      // Forget sessions that can no longer be resumed
+      this.sessions.forEach((session, token) => {
+        if (session.closedAt !== null && now - session.closedAt > this.config.sessionResumeWindow) {
+          this.sessions.delete(token);
+        }
+      });
+
       // Clean up old Redis entries
       await this.redis.cleanupOldEntries();
-    }, 30000);
+    }), this.config.cleanupInterval);
+  }
+
+  startPresenceTimer() {
+    // Mark users whose updates stopped flowing as away
+    setInterval(async () => {
+      const now = Date.now();
+
+      for (const [username, presence] of this.presence) {
+        const idle = now - new Date(presence.lastSeen).getTime();
+        if (presence.status === 'online' && idle >= this.config.awayTimeout) {
+          await this.setPresence(username, 'away')
+            .catch(error => console.error(`Error marking ${username} as away:`, error));
+        }
+      }
+    }, this.config.presenceCheckInterval);
   }
 
   start() {
+    if (!this.auth.isConfigured()) {
+      console.error('❌ auth.secret (AUTH_SECRET) is not set');
+      console.error('   WebSocket clients authenticate with HS256 tokens signed with this secret');
+      process.exit(1);
+    }
+
     console.log(`🔄 Attempting to start server on port ${this.port}...`);
     console.log(`🖥️  Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`📍 Binding to: 0.0.0.0:${this.port}`);
@@ -432,6 +4015,28 @@ class LocationServer {
     });
   }
 
+  // Apply reloadable options from a fresh configuration. Invalid
+  // configurations are rejected as a whole and the running one is kept.
+  reloadConfig() {
+    let next;
+    try {
+      next = loadConfig();
+    } catch (error) {
+      console.error(`❌ Configuration reload rejected: ${error.message}`);
+      return;
+    }
+
+    const { applied, restartRequired } = diffConfig(this.settings, next);
+    applied.forEach(({ name, keyPath, value }) => {
+      setPath(this.settings, keyPath, value);
+      console.log(`🔧 ${name} = ${JSON.stringify(value)}`);
+    });
+    if (restartRequired.length > 0) {
+      console.warn(`⚠️ Restart required to change: ${restartRequired.join(', ')}`);
+    }
+    console.log(`✅ Configuration reloaded (${applied.length} change(s) applied)`);
+  }
+
   // Graceful shutdown
   async shutdown() {
     console.log('🛑 Shutting down server...');
@@ -445,6 +4050,11 @@ class LocationServer {
       }
     });
 
+    // Release online markers held by this instance
+    for (const username of this.users.keys()) {
+      await this.redis.setUserOffline(username, this.serverId);
+    }
+
     // Close all connections
     this.connections.forEach((ws) => {
       ws.close();
@@ -454,6 +4064,7 @@ class LocationServer {
     this.users.clear();
     this.connections.clear();
     this.userRateLimit.clear();
+    this.batchRateLimit.clear();
 
     // Close Redis connection
     await this.redis.disconnect();
@@ -463,12 +4074,26 @@ class LocationServer {
   }
 }
 
-// Create and start server
-const server = new LocationServer(process.env.PORT || 8083);
+// Load the configuration and start the server
+let settings;
+try {
+  settings = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const server = new LocationServer(settings);
 server.start();
 
 // Handle graceful shutdown
 process.on('SIGINT', () => server.shutdown());
 process.on('SIGTERM', () => server.shutdown());
 
+// Re-read the configuration file and environment
+process.on('SIGHUP', () => server.reloadConfig());
+
 module.exports = LocationServer;
\ No newline at end of file
@@ -0,0 +1,108 @@
+// Uniform grid over latitude/longitude for looking up which points lie
+// within a bounding box without scanning every point
+const { isInsideBounds } = require('./geo-utils');
+
+class SpatialIndex {
+  constructor(cellSize = 0.1) {
+    this.cellSize = cellSize; // degrees
+    this.cells = new Map(); // cell key -> Set of ids
+    this.items = new Map(); // id -> { point, value, cell }
+  }
+
+  cellKey(row, column) {
+    return `${row}:${column}`;
+  }
+
+  getRow(latitude) {
+    return Math.floor((latitude + 90) / this.cellSize);
+  }
+
+  getColumn(longitude) {
+    return Math.floor((longitude + 180) / this.cellSize);
+  }
+
+  // Insert or move an item, keeping an arbitrary value alongside its position
+  set(id, point, value = null) {
+    const cell = this.cellKey(this.getRow(point.latitude), this.getColumn(point.longitude));
+    const existing = this.items.get(id);
+
+    if (existing && existing.cell !== cell) {
+      this.removeFromCell(existing.cell, id);
+    }
+    if (!existing || existing.cell !== cell) {
+      if (!this.cells.has(cell)) {
+        this.cells.set(cell, new Set());
+      }
+      this.cells.get(cell).add(id);
+    }
+
+    this.items.set(id, { point, value, cell });
+  }
+
+  get(id) {
+    const item = this.items.get(id);
+    return item ? item.value : null;
+  }
+
+  remove(id) {
+    const item = this.items.get(id);
+    if (item) {
+      this.removeFromCell(item.cell, id);
+      this.items.delete(id);
+    }
+  }
+
+  forEach(callback) {
+    this.items.forEach((item, id) => callback(item.value, id));
+  }
+
+  removeFromCell(cell, id) {
+    const ids = this.cells.get(cell);
+    if (ids) {
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.cells.delete(cell);
+      }
+    }
+  }
+
+  // Ids and values of all items inside a { north, south, east, west } box
+  search(bounds) {
+    const rows = [this.getRow(bounds.south), this.getRow(bounds.north)];
+    const columnRanges = bounds.west <= bounds.east
+      ? [[this.getColumn(bounds.west), this.getColumn(bounds.east)]]
+      : [[this.getColumn(bounds.west), this.getColumn(180)], [this.getColumn(-180), this.getColumn(bounds.east)]];
+
+    const cellCount = (rows[1] - rows[0] + 1) *
+      columnRanges.reduce((total, [first, last]) => total + last - first + 1, 0);
+
+    // Large boxes cover more cells than there are items; scan the items instead
+    let candidates;
+    if (cellCount > this.items.size) {
+      candidates = this.items.keys();
+    } else {
+      candidates = [];
+      for (let row = rows[0]; row <= rows[1]; row++) {
+        for (const [first, last] of columnRanges) {
+          for (let column = first; column <= last; column++) {
+            const ids = this.cells.get(this.cellKey(row, column));
+            if (ids) {
+              candidates.push(...ids);
+            }
+          }
+        }
+      }
+    }
+
+    const results = [];
+    for (const id of candidates) {
+      const item = this.items.get(id);
+      if (isInsideBounds(item.point, bounds)) {
+        results.push({ id, value: item.value });
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = SpatialIndex;
@@ -1,11 +1,14 @@
 const WebSocket = require('ws');
+const TokenAuth = require('./token-auth');
 
 class TestClient {
-  constructor(url = 'ws://localhost:8083', userName = 'Test User') {
+  constructor(url = 'ws://localhost:8083', userName = 'Test User', token = null) {
     this.url = url;
     this.userName = userName;
+    this.token = token;
     this.ws = null;
     this.locationUpdateInterval = null;
+    this.nextRequestId = 1;
     
     // Starting location (San Francisco)
     this.location = {
@@ -17,10 +20,13 @@ class TestClient {
   connect() {
     console.log(`🔗 Connecting to ${this.url} as ${this.userName}`);
     
-    this.ws = new WebSocket(this.url);
+    this.ws = new WebSocket(this.url, {
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {}
+    });
 
     this.ws.on('open', () => {
       console.log('✅ Connected to WebSocket server');
+      this.ws.send(JSON.stringify({ type: 'hello', data: { protocolVersion: 1 } }));
       this.startLocationUpdates();
     });
 
@@ -49,6 +55,14 @@ class TestClient {
         console.log('📡 Server connection acknowledged:', message.data.message);
         break;
       
+      case 'hello':
+        console.log(`🤝 Protocol v${message.data.protocolVersion}, features: ${message.data.features.join(', ')}`);
+        break;
+
+      case 'ack':
+        console.log(`✔️  Request ${message.requestId} stored at ${message.data.timestamp}`);
+        break;
+      
       case 'users_list':
         console.log(`👥 Current users (${message.data.length}):`);
         message.data.forEach(user => {
@@ -61,12 +75,12 @@ class TestClient {
         console.log(`📍 ${user.name} moved to [${user.latitude}, ${user.longitude}] at ${user.lastUpdate}`);
         break;
       
-      case 'user_disconnected':
-        console.log(`👋 ${message.data.name} disconnected`);
+      case 'presence':
+        console.log(`👋 ${message.data.name} is ${message.data.status} (last seen ${message.data.lastSeen})`);
         break;
       
       case 'error':
-        console.error(`❌ Server error [${message.data.code}]: ${message.data.message}`);
+        console.error(`❌ Server error [${message.data.code}]${message.requestId ? ` for request ${message.requestId}` : ''}: ${message.data.message}`);
         if (message.data.details) {
           console.error(`   Details: ${message.data.details}`);
         }
@@ -95,6 +109,7 @@ class TestClient {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       const message = {
         type: 'location_update',
+        requestId: this.nextRequestId++,
         data: {
           name: this.userName,
           latitude: this.location.latitude,
@@ -144,9 +159,16 @@ class TestClient {
 // Create test clients
 function createTestClients(count = 2) {
   const clients = [];
+  // Tokens are signed with the same secret the server verifies against
+  const auth = new TokenAuth(process.env.AUTH_SECRET);
+  if (!auth.isConfigured()) {
+    console.error('❌ AUTH_SECRET must be set to sign test client tokens');
+    process.exit(1);
+  }
   
   for (let i = 1; i <= count; i++) {
-    const client = new TestClient('ws://localhost:8083', `Test User ${i}`);
+    const userName = `Test User ${i}`;
+    const client = new TestClient('ws://localhost:8083', userName, auth.sign(userName));
     clients.push(client);
     
     // Stagger connections
@@ -0,0 +1,134 @@
+// Incremental segmentation of a location stream into trips (moving) and
+// stays (dwelling within a radius for a minimum time). The state is plain
+// JSON so it can be persisted between updates.
+const { haversineDistance } = require('./geo-utils');
+
+const DEFAULT_OPTIONS = {
+  stayRadius: 100, // meters
+  stayDuration: 5 * 60 * 1000 // milliseconds
+};
+
+function toPoint(location) {
+  return {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    time: new Date(location.lastUpdate).getTime()
+  };
+}
+
+function coordinates(point) {
+  return { latitude: point.latitude, longitude: point.longitude };
+}
+
+// Public representation of a segment with ISO timestamps and duration in seconds
+function formatSegment(segment) {
+  const formatted = {
+    type: segment.type,
+    startTime: new Date(segment.startTime).toISOString(),
+    endTime: new Date(segment.endTime).toISOString(),
+    duration: Math.round((segment.endTime - segment.startTime) / 1000),
+    distance: Math.round(segment.distance)
+  };
+
+  if (segment.type === 'stay') {
+    formatted.location = segment.location;
+  } else {
+    formatted.start = segment.start;
+    formatted.end = segment.end;
+  }
+
+  return formatted;
+}
+
+function startTrip(from, to, distance) {
+  return {
+    type: 'trip',
+    startTime: from.time,
+    endTime: to.time,
+    distance,
+    start: coordinates(from),
+    end: coordinates(to)
+  };
+}
+
+// Feed one location into the timeline state. Returns the new state and the
+// segments that were completed by this location (oldest first).
+function advanceTimeline(state, location, options = {}) {
+  const { stayRadius, stayDuration } = { ...DEFAULT_OPTIONS, ...options };
+  const point = toPoint(location);
+  const completed = [];
+
+  if (Number.isNaN(point.time)) {
+    return { state, completed };
+  }
+
+  // The first location opens a trip that becomes a stay if the user does not move
+  if (!state || !state.segment) {
+    return {
+      state: {
+        segment: startTrip(point, point, 0),
+        anchor: { ...point, tripDistance: 0 },
+        last: point
+      },
+      completed
+    };
+  }
+
+  // Ignore locations that arrive out of order
+  if (point.time <= state.last.time) {
+    return { state, completed };
+  }
+
+  let { segment, anchor } = state;
+  const step = haversineDistance(state.last, point);
+
+  if (haversineDistance(anchor, point) <= stayRadius) {
+    segment = { ...segment, endTime: point.time, distance: segment.distance + step };
+
+    if (segment.type === 'trip') {
+      if (point.time - anchor.time >= stayDuration) {
+        // The trip ended where the user started dwelling
+        const trip = {
+          ...segment,
+          endTime: anchor.time,
+          distance: anchor.tripDistance,
+          end: coordinates(anchor)
+        };
+        if (trip.endTime > trip.startTime) {
+          completed.push(formatSegment(trip));
+        }
+
+        segment = {
+          type: 'stay',
+          startTime: anchor.time,
+          endTime: point.time,
+          distance: segment.distance - anchor.tripDistance,
+          location: coordinates(anchor)
+        };
+      } else {
+        segment.end = coordinates(point);
+      }
+    }
+  } else {
+    if (segment.type === 'stay') {
+      // Leaving the stay radius starts a new trip from the last dwelling point
+      completed.push(formatSegment({ ...segment, endTime: state.last.time }));
+      segment = startTrip(state.last, point, step);
+    } else {
+      segment = { ...segment, endTime: point.time, distance: segment.distance + step, end: coordinates(point) };
+    }
+
+    anchor = { ...point, tripDistance: segment.distance };
+  }
+
+  return {
+    state: { segment, anchor, last: point },
+    completed
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  advanceTimeline,
+  formatSegment
+};
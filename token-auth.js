@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Minimal HS256 JWT signing and verification used to authenticate
+// WebSocket handshakes. Tokens carry the username in the `sub` claim.
+class TokenAuth {
+  constructor(secret) {
+    this.secret = secret || null;
+  }
+
+  isConfigured() {
+    return Boolean(this.secret);
+  }
+
+  // Create a signed token for a username (used by tooling and tests)
+  sign(username, expiresInSeconds = 24 * 60 * 60) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'HS256', typ: 'JWT' };
+    const payload = { sub: username, iat: now, exp: now + expiresInSeconds };
+
+    const unsigned = `${this.encode(header)}.${this.encode(payload)}`;
+    return `${unsigned}.${this.signature(unsigned)}`;
+  }
+
+  // Verify a token and return the identity it was issued for
+  verify(token) {
+    if (!this.secret) {
+      return { valid: false, code: 'AUTH_NOT_CONFIGURED', message: 'Token authentication is not configured' };
+    }
+
+    if (!token || typeof token !== 'string') {
+      return { valid: false, code: 'MISSING_TOKEN', message: 'Authentication token is required' };
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return { valid: false, code: 'INVALID_TOKEN', message: 'Malformed authentication token' };
+    }
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+    const expected = this.signature(`${encodedHeader}.${encodedPayload}`);
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(signature);
+
+    if (expectedBuffer.length !== signatureBuffer.length ||
+        !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+      return { valid: false, code: 'INVALID_TOKEN', message: 'Invalid token signature' };
+    }
+
+    let header;
+    let payload;
+    try {
+      header = this.decode(encodedHeader);
+      payload = this.decode(encodedPayload);
+    } catch (error) {
+      return { valid: false, code: 'INVALID_TOKEN', message: 'Malformed authentication token', details: error.message };
+    }
+
+    if (header.alg !== 'HS256') {
+      return { valid: false, code: 'INVALID_TOKEN', message: `Unsupported token algorithm: ${header.alg}` };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp === 'number' && now >= payload.exp) {
+      return { valid: false, code: 'TOKEN_EXPIRED', message: 'Authentication token has expired' };
+    }
+
+    if (typeof payload.nbf === 'number' && now < payload.nbf) {
+      return { valid: false, code: 'INVALID_TOKEN', message: 'Authentication token is not yet valid' };
+    }
+
+    if (!payload.sub || typeof payload.sub !== 'string') {
+      return { valid: false, code: 'INVALID_TOKEN', message: 'Token does not identify a user' };
+    }
+
+    return { valid: true, username: payload.sub, expiresAt: payload.exp || null };
+  }
+
+  // Extract a token from the `token` query parameter or a Bearer Authorization
+  // header. A query token with malformed percent-encoding yields null.
+  static extractToken(authorizationHeader, queryToken) {
+    if (queryToken) {
+      try {
+        return decodeURIComponent(queryToken);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(authorizationHeader || '');
+    return match ? match[1].trim() : null;
+  }
+
+  signature(value) {
+    return toBase64Url(crypto.createHmac('sha256', this.secret).update(value).digest());
+  }
+
+  encode(value) {
+    return toBase64Url(Buffer.from(JSON.stringify(value)));
+  }
+
+  decode(value) {
+    // Node's base64 decoder accepts the URL-safe alphabet as well
+    return JSON.parse(Buffer.from(value, 'base64').toString());
+  }
+}
+
+function toBase64Url(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+module.exports = TokenAuth;
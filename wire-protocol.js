@@ -0,0 +1,90 @@
+// Message encodings a WebSocket connection can negotiate. JSON text frames
+// are the default; MessagePack binary frames are smaller for clients on
+// poor networks.
+const msgpack = require('@msgpack/msgpack');
+
+const ENCODINGS = {
+  json: {
+    binary: false,
+    encode: message => JSON.stringify(message),
+    decode: data => JSON.parse(Buffer.from(data).toString())
+  },
+  msgpack: {
+    binary: true,
+    encode: message => msgpack.encode(message),
+    decode: data => msgpack.decode(new Uint8Array(data))
+  }
+};
+
+const DEFAULT_ENCODING = 'json';
+
+// Own keys only, so names such as `toString` are not mistaken for encodings
+function isEncoding(name) {
+  return Object.prototype.hasOwnProperty.call(ENCODINGS, name);
+}
+
+// Protocol versions a client may declare in its `hello`, and the optional
+// capabilities the server advertises in reply
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_PROTOCOL_VERSIONS = [1];
+const PROTOCOL_FEATURES = [
+  'request_id',
+  'session_resume',
+  'location_ack',
+  'location_batch',
+  'msgpack',
+  'circles',
+  'geofences',
+  'proximity_alerts',
+  'sharing_controls',
+  'precision_levels',
+  'share_links',
+  'timeline',
+  'history_pagination',
+  'track_simplification',
+  'viewport_subscriptions',
+  'nearby',
+  'data_export',
+  'data_erasure'
+];
+
+// Pick the encoding from the `encoding` query parameter or, failing that, the
+// first supported entry of the Sec-WebSocket-Protocol header. Returns the
+// subprotocol to answer with, which is the client's offer when none matched.
+function negotiateEncoding(queryEncoding, protocolHeader) {
+  if (queryEncoding) {
+    if (!isEncoding(queryEncoding)) {
+      return {
+        valid: false,
+        code: 'UNSUPPORTED_ENCODING',
+        message: `Unsupported encoding: ${queryEncoding}`,
+        details: `Supported encodings: ${Object.keys(ENCODINGS).join(', ')}`
+      };
+    }
+    return { valid: true, encoding: queryEncoding, protocol: protocolHeader };
+  }
+
+  const offered = (protocolHeader || '').split(',').map(protocol => protocol.trim());
+  const selected = offered.find(isEncoding);
+  if (selected) {
+    return { valid: true, encoding: selected, protocol: selected };
+  }
+
+  return { valid: true, encoding: DEFAULT_ENCODING, protocol: protocolHeader };
+}
+
+// Inbound frames are decoded by frame type, so either encoding is accepted
+function decodeMessage(data, isBinary) {
+  return (isBinary ? ENCODINGS.msgpack : ENCODINGS.json).decode(data);
+}
+
+module.exports = {
+  ENCODINGS,
+  DEFAULT_ENCODING,
+  isEncoding,
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  PROTOCOL_FEATURES,
+  negotiateEncoding,
+  decodeMessage
+};